@@ -1,124 +1,499 @@
 // script.js
-// Logic to choose which video (p1/p2/p3) to load and the correct seek offset
-// so playback matches visitor's chosen timezone (local or Tokyo). Assumes each part is 8 hours long:
+// Logic to choose which video segment to load and the correct seek offset
+// so playback matches visitor's chosen timezone (local or any IANA zone).
+// The day is described by a segment schedule (see loadSchedule). Without a manifest
+// the classic layout of three 8-hour parts is used:
 //  - Part P1: 25:00 - 09:00
 //  - Part P2: 09:00 - 17:00
 //  - Part P3: 17:00 - 25:00
 
 (() => {
-  const video = document.getElementById('video');
+  // Two stacked <video> layers: `video` is the visible one, `standbyVideo` buffers the next segment
+  const videoElements = [document.getElementById('video'), document.getElementById('videoBuffer')].filter(Boolean);
+  let video = videoElements[0];
+  let standbyVideo = videoElements[1] || null;
   const localTimeEl = document.getElementById('localTime');
   const partNameEl = document.getElementById('partName');
   const tzLabelEl = document.getElementById('tzLabel');
   const muteBtn = document.getElementById('muteBtn');
   const volumeSlider = document.getElementById('volumeSlider');
   const fullscreenBtn = document.getElementById('fullscreenBtn');
-  const tzToggleBtn = document.getElementById('tzToggleBtn');
+  const tzSelect = document.getElementById('tzSelect');
   const audioProcessBtn = document.getElementById('audioProcessBtn');
   const orientationWarning = document.getElementById('orientation-warning');
 
   const sources = window.TIME_SYNC_SOURCES || { p1: 'p1.mp4', p2: 'p2.mp4', p3: 'p3.mp4' };
 
-  const PART_LENGTH_SECONDS = 8 * 3600; // 8 hours
-
-  // timezone mode: 'local' or 'tokyo'
+  const DAY_SECONDS = 86400;
+  const PART_LENGTH_SECONDS = 8 * 3600; // 8 hours (classic layout only)
+
+  // Time zones offered by the video sync selector and the world clocks
+  const AVAILABLE_TIMEZONES = [
+    { label: '东京 🗼', zone: 'Asia/Tokyo' },
+    { label: '纽约 🗽', zone: 'America/New_York' },
+    { label: '伦敦 🏰', zone: 'Europe/London' },
+    { label: '巴黎 🗼', zone: 'Europe/Paris' },
+    { label: '洛杉矶 🌴', zone: 'America/Los_Angeles' },
+    { label: '悉尼 🐨', zone: 'Australia/Sydney' },
+    { label: '上海 🐼', zone: 'Asia/Shanghai' },
+    { label: '迪拜 🏙️', zone: 'Asia/Dubai' },
+    { label: '莫斯科 🏰', zone: 'Europe/Moscow' },
+    { label: '新加坡 🦁', zone: 'Asia/Singapore' },
+    { label: '首尔 🏯', zone: 'Asia/Seoul' },
+    { label: '温哥华 🍁', zone: 'America/Vancouver' },
+    { label: '圣保罗 🇧🇷', zone: 'America/Sao_Paulo' },
+    { label: 'UTC 🌍', zone: 'UTC' }
+  ];
+
+  // timezone mode: 'local' or an IANA zone name (e.g. 'Asia/Tokyo')
   let timezoneMode = 'local';
   // remember last non-zero volume so we can restore after unmute
   let savedVolume = 1;
 
-  // Audio processing setup using Web Audio API
+  // Audio processing setup using Web Audio API (audioContext is set once the video graph is built)
   let audioContext = null;
   let audioSource = null;
   let compressor = null;
   let gainNode = null;
-  let vocalReducer = null;
+  let processingOutput = null;
   let isAudioProcessing = false;
+  // Mid/side vocal remover at the head of the graph, with its own bypass
+  let vocalInput = null;
+  let vocalOutput = null;
+  let vocalSplitter = null;
+  let isVocalRemoval = false;
+
+  // --- Segment schedule ---
+  // A schedule manifest describes any number of segments of the 24h day:
+  //   {
+  //     "segments": [
+  //       { "id": "p1", "start": "25:00", "duration": "8:00:00",
+  //         "src": "https://.../p01.mp4", "alternates": ["https://mirror/.../p01.mp4"] },
+  //       { "id": "p2", "start": "09:00", "duration": "8h", "encodings": [
+  //           { "src": "https://.../p02.hevc.mp4", "type": "video/mp4; codecs=\"hvc1.1.6.L93.B0\"" },
+  //           { "src": "https://.../p02.av1.mp4", "type": "video/mp4; codecs=\"av01.0.08M.08\"" },
+  //           { "src": "https://.../p02.h264.mp4", "type": "video/mp4; codecs=\"avc1.640028\"" } ] },
+  //       ...
+  //     ]
+  //   }
+  // `start` is a wall-clock time ("HH:MM[:SS]", hours >= 24 wrap, so "25:00" is 01:00) or seconds.
+  // `duration` is "H:MM[:SS]", "4h" / "90m" / "30s", or seconds. `alternates` are optional mirror URLs.
+  // `encodings` lists the same footage in several codecs, best first; a plain `src` (+ optional `type`)
+  // is a single encoding.
+  // window.TIME_SYNC_SOURCES may hold such a manifest, the URL of one, or the legacy { p1, p2, p3 } map
+  // whose values are a URL or an encodings list.
+  let schedule = [];
+
+  // Parse "HH:MM[:SS]", "4h"/"90m"/"30s" or a plain number of seconds. Returns NaN when invalid.
+  function parseClockValue(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : NaN;
+    if (typeof value !== 'string') return NaN;
+    const text = value.trim();
+    const clock = text.match(/^(\d+):(\d{1,2})(?::(\d{1,2}(?:\.\d+)?))?$/);
+    if (clock) {
+      return parseInt(clock[1]) * 3600 + parseInt(clock[2]) * 60 + (clock[3] ? parseFloat(clock[3]) : 0);
+    }
+    const unit = text.match(/^(\d+(?:\.\d+)?)\s*(h|m|s)$/i);
+    if (unit) {
+      const n = parseFloat(unit[1]);
+      const k = unit[2].toLowerCase();
+      return k === 'h' ? n * 3600 : k === 'm' ? n * 60 : n;
+    }
+    return NaN;
+  }
+
+  // Seconds of day -> "HH:MM" (or "HH:MM:SS" when not on a whole minute)
+  function formatClockValue(seconds) {
+    const t = ((Math.round(seconds) % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS;
+    const h = String(Math.floor(t / 3600)).padStart(2, '0');
+    const m = String(Math.floor((t % 3600) / 60)).padStart(2, '0');
+    const sec = t % 60;
+    return sec ? `${h}:${m}:${String(sec).padStart(2, '0')}` : `${h}:${m}`;
+  }
+
+  // Time ranges keyed to the cycle (scenes, data-saver stills) are written either as
+  //   { start: '25:00', end: '26:30' }                   wall-clock times of the cycle, or
+  //   { part: 'p2', from: '1:20:00', to: '1:45:00' }     offsets into a segment of the schedule.
+  // Returns { start, end } in seconds of day, or null if the entry can't be placed.
+  function resolveTimeRange(entry) {
+    let start;
+    let end;
+    if (entry.part != null) {
+      const segment = schedule.find(seg => seg.key === String(entry.part).toLowerCase());
+      if (!segment) return null;
+      start = segment.start + parseClockValue(entry.from != null ? entry.from : 0);
+      end = entry.to != null ? segment.start + parseClockValue(entry.to) : segment.start + segment.duration;
+    } else {
+      start = parseClockValue(entry.start);
+      end = parseClockValue(entry.end);
+    }
+    if (!isFinite(start) || !isFinite(end)) return null;
+    return {
+      start: ((start % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS,
+      end: ((end % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS
+    };
+  }
+
+  // Ranges may wrap past midnight; an end equal to the start covers the whole day
+  function rangeContains(range, secondsOfDay) {
+    const length = (range.end - range.start + DAY_SECONDS) % DAY_SECONDS || DAY_SECONDS;
+    return (secondsOfDay - range.start + DAY_SECONDS) % DAY_SECONDS < length;
+  }
+
+  // The latest-starting range wins where ranges overlap, as with segments (ranges sorted by start)
+  function findRange(ranges, secondsOfDay) {
+    let found = null;
+    for (const range of ranges) {
+      if (rangeContains(range, secondsOfDay)) found = range;
+    }
+    return found;
+  }
+
+  // Data files (schedule, scenes, stills) may be given as a URL or inline; resolve to the parsed JSON.
+  // no-cache so the service worker fetches them from the network rather than serving a stale copy
+  async function loadJsonSource(source) {
+    if (typeof source !== 'string') return source;
+    const res = await fetch(source, { cache: 'no-cache' });
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    return res.json();
+  }
+
+  // --- Codec-aware encodings ---
+  // URLs that failed to load in the current retry round, and encodings (by primary src) the browser
+  // could not decode; the latter are skipped for the rest of the session
+  const failedSources = new Set();
+  const undecodableEncodings = new Set();
+  // URLs pinned for offline use (see "Offline storage"); a pinned mirror is preferred over the others
+  const pinnedUrls = new Set();
+
+  // Known mirrors: a URL under `from` is also served under `to` (the CD player uses the same host)
+  const MIRROR_PREFIXES = window.TIME_SYNC_MIRRORS || [
+    { from: 'https://fcdata.forclass.net/AttachFiles/171806/', to: 'https://storage.nightcord.de5.net/' }
+  ];
+
+  // Normalize a URL, an { src, type, alternates } object or a list of either into encodings
+  function normalizeEncodings(value) {
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(item => {
+      if (typeof item === 'string') return { src: item, type: '', alternates: [] };
+      if (!item || typeof item.src !== 'string' || !item.src) return null;
+      return {
+        src: item.src,
+        type: typeof item.type === 'string' ? item.type : '',
+        alternates: Array.isArray(item.alternates) ? item.alternates.filter(u => typeof u === 'string' && u) : []
+      };
+    }).filter(Boolean);
+  }
+
+  // 'probably' | 'maybe' | '' for a MIME type with codecs. Untyped sources can only be tried.
+  function codecSupport(type) {
+    if (!type) return 'maybe';
+    try {
+      if (window.MediaSource && typeof MediaSource.isTypeSupported === 'function' && MediaSource.isTypeSupported(type)) {
+        return 'probably';
+      }
+    } catch (e) {
+      // ignore and ask the element instead
+    }
+    try {
+      return video.canPlayType(type);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // Keep the author's order (best quality first) but move encodings this browser can't decode to the end,
+  // where they are only tried as a last resort
+  function rankEncodings(encodings) {
+    const decodable = encodings.filter(e => codecSupport(e.type) !== '');
+    const others = encodings.filter(e => codecSupport(e.type) === '');
+    return decodable.concat(others);
+  }
+
+  // Human readable codec name for warnings
+  function codecName(type) {
+    if (/hvc1|hev1/i.test(type)) return 'H.265 / HEVC';
+    if (/av01/i.test(type)) return 'AV1';
+    if (/avc1|avc3/i.test(type)) return 'H.264';
+    if (/vp09|vp9/i.test(type)) return 'VP9';
+    return type;
+  }
+
+  // Every URL an encoding can be fetched from: its src, the listed alternates, then derived mirrors
+  function encodingCandidates(encoding) {
+    const urls = [encoding.src, ...encoding.alternates];
+    MIRROR_PREFIXES.forEach(({ from, to }) => {
+      urls.slice().forEach(url => {
+        if (url.startsWith(from)) urls.push(to + url.slice(from.length));
+      });
+    });
+    return [...new Set(urls)];
+  }
+
+  // The URL to use for a segment right now: mirrors of the best decodable encoding first,
+  // then the next encoding down the list
+  function segmentSource(segment) {
+    if (!segment) return null;
+    for (const encoding of segment.encodings) {
+      if (undecodableEncodings.has(encoding.src)) continue;
+      const candidates = encodingCandidates(encoding).filter(u => !failedSources.has(u));
+      const url = candidates.find(u => pinnedUrls.has(u)) || candidates[0];
+      if (url) return url;
+    }
+    return null;
+  }
+
+  function findEncodingByUrl(url) {
+    for (const seg of schedule) {
+      const encoding = seg.encodings.find(e => encodingCandidates(e).includes(url));
+      if (encoding) return encoding;
+    }
+    return null;
+  }
+
+  // True when a segment still has decodable encodings, i.e. a new retry round can help
+  function hasDecodableEncoding(segment) {
+    return !!segment && segment.encodings.some(e => !undecodableEncodings.has(e.src));
+  }
+
+  // Warn once when some segment has no encoding the browser claims to decode
+  function checkCodecSupport() {
+    const unsupported = new Set();
+    schedule.forEach(seg => {
+      const typed = seg.encodings.filter(e => e.type);
+      if (typed.length === seg.encodings.length && typed.every(e => codecSupport(e.type) === '')) {
+        typed.forEach(e => unsupported.add(codecName(e.type)));
+      }
+    });
+    if (unsupported.size > 0) {
+      // Delay slightly to avoid layout flash while other inits run
+      setTimeout(() => {
+        showNotice('hevcWarning', `检测到您的浏览器可能不支持 ${[...unsupported].join(' / ')} 编码，播放可能失败。`);
+      }, 80);
+    }
+  }
+
+  // The classic layout: p1/p2/p3, 8 hours each, the day starting at 25:00
+  function buildLegacySchedule(map) {
+    return ['p1', 'p2', 'p3'].map((key, i) => ({
+      key,
+      start: (3600 + i * PART_LENGTH_SECONDS) % DAY_SECONDS,
+      duration: PART_LENGTH_SECONDS,
+      encodings: rankEncodings(normalizeEncodings(map[key]))
+    }));
+  }
+
+  // Validate a manifest. Returns { segments, issues } where issues are human readable problems;
+  // invalid segments are dropped, gaps and overlaps are kept but reported.
+  function validateSchedule(manifest) {
+    const issues = [];
+    const list = Array.isArray(manifest) ? manifest : (manifest && manifest.segments);
+    if (!Array.isArray(list) || list.length === 0) {
+      return { segments: [], issues: ['时间表中没有 segments 列表'] };
+    }
+
+    const segments = [];
+    list.forEach((raw, i) => {
+      const name = (raw && (raw.id || raw.key)) || `#${i + 1}`;
+      if (!raw || typeof raw !== 'object') {
+        issues.push(`片段 ${name} 不是对象，已忽略`);
+        return;
+      }
+      const start = parseClockValue(raw.start);
+      const duration = parseClockValue(raw.duration);
+      if (!isFinite(start) || start < 0) {
+        issues.push(`片段 ${name} 的开始时间无效 (${raw.start})，已忽略`);
+        return;
+      }
+      if (!isFinite(duration) || duration <= 0 || duration > DAY_SECONDS) {
+        issues.push(`片段 ${name} 的时长无效 (${raw.duration})，已忽略`);
+        return;
+      }
+      const encodings = normalizeEncodings(raw.encodings || raw);
+      if (encodings.length === 0) {
+        issues.push(`片段 ${name} 缺少视频地址 src / encodings，已忽略`);
+        return;
+      }
+      segments.push({
+        // lowercase so `part` references match however either side is written
+        key: String(raw.id || raw.key || '').toLowerCase(),
+        start: start % DAY_SECONDS,
+        duration,
+        encodings: rankEncodings(encodings)
+      });
+    });
+
+    segments.sort((a, b) => a.start - b.start);
+    segments.forEach((seg, i) => {
+      if (!seg.key) seg.key = 'p' + (i + 1);
+    });
+
+    // `part` references in scenes and stills bind to the earliest segment with the id
+    const seen = new Set();
+    const duplicates = new Set();
+    segments.forEach(seg => {
+      if (seen.has(seg.key)) duplicates.add(seg.key);
+      seen.add(seg.key);
+    });
+    duplicates.forEach(key => {
+      issues.push(`片段 ID ${key.toUpperCase()} 重复，按 part 引用时只会对应最早开始的那一个`);
+    });
+
+    // Walk the 24h circle and compare each segment's end with the next segment's start
+    let covered = 0;
+    segments.forEach((seg, i) => {
+      covered += seg.duration;
+      const next = segments[(i + 1) % segments.length];
+      const end = seg.start + seg.duration;
+      let nextStart = next.start;
+      if (i === segments.length - 1) nextStart += DAY_SECONDS;
+      if (nextStart > end) {
+        issues.push(`${formatClockValue(end)} – ${formatClockValue(nextStart)} 没有视频片段（空档）`);
+      } else if (nextStart < end) {
+        issues.push(`片段 ${seg.key.toUpperCase()} 与 ${next.key.toUpperCase()} 在 ${formatClockValue(nextStart)} – ${formatClockValue(end)} 重叠，重叠部分播放 ${next.key.toUpperCase()}`);
+      }
+    });
+    if (segments.length > 0 && covered > DAY_SECONDS) {
+      issues.push('片段总时长超过 24 小时');
+    }
+
+    return { segments, issues };
+  }
+
+  function setSchedule(segments) {
+    schedule = segments;
+    lastPartIndex = null; // indices refer to the previous schedule
+    checkCodecSupport();
+  }
 
-  function formatTime(d) {
-    return d.toLocaleTimeString();
+  function reportScheduleIssues(issues) {
+    if (!issues.length) return;
+    issues.forEach(issue => console.warn('[schedule]', issue));
+    showNotice('scheduleWarning', '视频时间表有问题：' + issues.join('；'));
   }
 
-  // Given a Date, compute which part index (0=p1,1=p2,2=p3) and offset seconds into that part
-  function computePartAndOffset(date) {
-    // base reference: period starts at 25:00. We'll compute seconds since 25:00 of the same repeating cycle.
-    const base = new Date(date);
-    base.setHours(1, 0, 0, 0);
-    if (date < base) {
-      // use previous day's 25:00 so diff is positive
-      base.setDate(base.getDate() - 1);
+  // Resolve window.TIME_SYNC_SOURCES into a validated schedule. Always resolves; falls back to the
+  // classic layout when the manifest is unusable.
+  async function loadSchedule() {
+    const fallback = buildLegacySchedule(typeof sources === 'object' && !Array.isArray(sources) && !sources.segments
+      ? sources
+      : { p1: 'p1.mp4', p2: 'p2.mp4', p3: 'p3.mp4' });
+
+    let manifest = sources;
+    if (typeof sources === 'string') {
+      try {
+        manifest = await loadJsonSource(sources);
+      } catch (e) {
+        console.warn('Failed to load schedule manifest:', e);
+        reportScheduleIssues([`无法加载时间表 ${sources}，已使用默认的三段式时间表`]);
+        setSchedule(fallback);
+        return;
+      }
+    } else if (!Array.isArray(sources) && !(sources && sources.segments)) {
+      setSchedule(fallback);
+      return;
     }
-    let diffSeconds = Math.floor((date.getTime() - base.getTime()) / 1000);
 
-    // wrap to [0, 86400)
-    diffSeconds = ((diffSeconds % 86400) + 86400) % 86400;
+    const { segments, issues } = validateSchedule(manifest);
+    if (segments.length === 0) {
+      issues.push('没有可用的片段，已使用默认的三段式时间表');
+      setSchedule(fallback);
+    } else {
+      setSchedule(segments);
+    }
+    reportScheduleIssues(issues);
+  }
 
-    const partIndex = Math.floor(diffSeconds / PART_LENGTH_SECONDS); // 0,1,2
-    const offset = diffSeconds % PART_LENGTH_SECONDS;
+  // Given a (fractional) second of the wall-clock day, find the segment playing at that moment and
+  // the offset in seconds into it. partIndex is -1 inside a gap.
+  function computePartAndOffsetAt(secondsOfDay) {
+    let partIndex = -1;
+    let offset = 0;
+    schedule.forEach((seg, i) => {
+      const into = ((secondsOfDay - seg.start) % DAY_SECONDS + DAY_SECONDS) % DAY_SECONDS;
+      // on overlaps the most recently started segment wins
+      if (into < seg.duration && (partIndex === -1 || into < offset)) {
+        partIndex = i;
+        offset = into;
+      }
+    });
     return { partIndex, offset };
   }
 
   function partIndexToKey(i) {
-    return ['p1', 'p2', 'p3'][i] || 'p1';
+    return schedule[i] ? schedule[i].key : null;
   }
 
   let lastPartIndex = null;
 
   // Load the right src and seek to offset. Returns a Promise that resolves when seek done.
   function loadAndSeekTo(partIndex, offsetSeconds) {
+    const segment = schedule[partIndex];
     const key = partIndexToKey(partIndex);
-    const src = sources[key];
-    if (!src) return Promise.reject(new Error('Missing source for part ' + key));
+    const src = segmentSource(segment);
+    if (!src) {
+      if (segment) showNotice('codecFailure', `视频片段 ${key.toUpperCase()} 的所有编码都无法播放。`);
+      return Promise.reject(new Error('Missing source for part ' + key));
+    }
+    // the visible layer may be swapped while this load is in flight
+    const el = video;
+    // a fresh load gets a full stall timeout before the watchdog steps in
+    markProgress(el);
 
     return new Promise((resolve, reject) => {
+      // every listener goes through listen() so settling removes them all, whichever way it goes
+      const listeners = [];
+      const listen = (type, fn, once = false) => {
+        el.addEventListener(type, fn, { once });
+        listeners.push([type, fn]);
+      };
+      const settle = (done, value) => {
+        listeners.forEach(([type, fn]) => el.removeEventListener(type, fn));
+        done(value);
+      };
+      // the watchdog's own error handler deals with the failure; this only settles the promise
+      listen('error', () => settle(reject, el.error || new Error('Failed to load ' + src)));
+
       // If same video and metadata is loaded, just set currentTime
       const doSeek = () => {
         // clamp offset to available duration if we can
         try {
-          if (video.duration && offsetSeconds > video.duration) {
+          if (el.duration && offsetSeconds > el.duration) {
             // if duration smaller than expected, wrap around modulo duration
-            offsetSeconds = offsetSeconds % video.duration;
+            offsetSeconds = offsetSeconds % el.duration;
           }
         } catch (e) {
           // ignore
         }
 
-        function onSeeked() {
-          video.removeEventListener('seeked', onSeeked);
-          resolve();
-        }
-
-        video.addEventListener('seeked', onSeeked);
+        listen('seeked', () => settle(resolve));
         // Some browsers will throw if setting currentTime before metadata is ready.
         try {
-          video.currentTime = Math.max(0, offsetSeconds);
+          el.currentTime = Math.max(0, offsetSeconds);
         } catch (err) {
           // fallback: wait a moment and try again
           setTimeout(() => {
-            try { video.currentTime = Math.max(0, offsetSeconds); } catch (e) {}
+            try { el.currentTime = Math.max(0, offsetSeconds); } catch (e) {}
           }, 300);
         }
       };
 
-      if (!video.src || !video.src.endsWith(src)) {
+      if (!el.src || !el.src.endsWith(src)) {
         lastPartIndex = partIndex;
-        video.src = src;
+        el.src = src;
         // Ensure metadata loads so we can seek
-        video.load();
-        video.addEventListener('loadedmetadata', function onMeta() {
-          video.removeEventListener('loadedmetadata', onMeta);
+        el.load();
+        listen('loadedmetadata', () => {
           doSeek();
           // ensure play (autoplay might be blocked unless muted; we set muted in HTML)
-          video.play().catch(() => {});
-        });
+          el.play().catch(() => {});
+        }, true);
       } else {
         // same src; if metadata ready, seek immediately
-        if (video.readyState >= 1) {
+        if (el.readyState >= 1) {
           doSeek();
         } else {
-          video.addEventListener('loadedmetadata', function onMeta2() {
-            video.removeEventListener('loadedmetadata', onMeta2);
-            doSeek();
-          });
+          listen('loadedmetadata', doSeek, true);
         }
       }
     });
@@ -148,7 +523,15 @@
       volumeSlider.value = video.muted ? '0' : String(video.volume);
     }
     // tz label
-    if (tzLabelEl) tzLabelEl.textContent = timezoneMode === 'local' ? 'Local' : 'Tokyo';
+    if (tzLabelEl) tzLabelEl.textContent = zoneDisplayName(timezoneMode);
+    if (tzSelect && tzSelect.value !== timezoneMode) {
+      ensureZoneOption(timezoneMode);
+      tzSelect.value = timezoneMode;
+    }
+    if (dataSaverSelect) {
+      dataSaverSelect.value = dataSaverMode;
+      dataSaverSelect.title = dataSaverActive() ? '省流模式：正在显示静态画面' : '省流模式：正在播放完整视频';
+    }
   }
 
   if (muteBtn) {
@@ -214,58 +597,589 @@
     orientationWarning.addEventListener('click', toggleFullscreenAndOrientation);
   }
 
-  if (tzToggleBtn) {
-    tzToggleBtn.addEventListener('click', () => {
-      timezoneMode = timezoneMode === 'local' ? 'tokyo' : 'local';
-      updateControlsUI();
-      // immediate resync with new timezone
-      resyncOnce();
-      saveSettings();
+  // Timezone helpers. Formatters are cached because the clock reads them several times per second.
+  const zoneFormatters = {};
+
+  function getZoneFormatter(zone) {
+    if (!zoneFormatters[zone]) {
+      // throws RangeError for unknown zones, so nothing invalid ever gets cached
+      zoneFormatters[zone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    }
+    return zoneFormatters[zone];
+  }
+
+  function isValidTimeZone(zone) {
+    if (!zone || typeof zone !== 'string') return false;
+    try {
+      getZoneFormatter(zone);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Short label for #tzLabel: 'Local', or the city part of the zone ('America/Los_Angeles' -> 'Los Angeles')
+  function zoneDisplayName(zone) {
+    if (zone === 'local') return 'Local';
+    return zone.split('/').pop().replace(/_/g, ' ');
+  }
+
+  // Add an <option> for a zone that is not in the catalogue (custom zones typed in by the user)
+  function ensureZoneOption(zone) {
+    if (!tzSelect || zone === 'local') return;
+    if (Array.from(tzSelect.options).some(o => o.value === zone)) return;
+    const option = document.createElement('option');
+    option.value = zone;
+    option.textContent = zoneDisplayName(zone);
+    const customOption = tzSelect.querySelector('option[value="custom"]');
+    tzSelect.insertBefore(option, customOption);
+  }
+
+  function setTimezoneMode(zone) {
+    timezoneMode = zone;
+    updateControlsUI();
+    // immediate resync with new timezone
+    resyncOnce();
+    saveSettings();
+  }
+
+  if (tzSelect) {
+    const localOption = document.createElement('option');
+    localOption.value = 'local';
+    localOption.textContent = '本地时间 🏠';
+    tzSelect.appendChild(localOption);
+
+    AVAILABLE_TIMEZONES.forEach(tz => {
+      const option = document.createElement('option');
+      option.value = tz.zone;
+      option.textContent = tz.label;
+      tzSelect.appendChild(option);
+    });
+
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = '自定义时区…';
+    tzSelect.appendChild(customOption);
+
+    tzSelect.addEventListener('change', () => {
+      if (tzSelect.value !== 'custom') {
+        setTimezoneMode(tzSelect.value);
+        return;
+      }
+      const input = prompt('请输入 IANA 时区名称（例如 America/Chicago、Europe/Berlin）:');
+      const zone = input ? input.trim() : '';
+      if (!zone) {
+        tzSelect.value = timezoneMode;
+        return;
+      }
+      if (!isValidTimeZone(zone)) {
+        alert(`无法识别的时区：${zone}`);
+        tzSelect.value = timezoneMode;
+        return;
+      }
+      ensureZoneOption(zone);
+      tzSelect.value = zone;
+      setTimezoneMode(zone);
+    });
+  }
+
+  // --- Audio engine ---
+  // One AudioContext for the whole page. Media elements are registered once (a MediaElementSource can
+  // only be created once per element) and every chain ends in a named bus:
+  //   video, music, ambience, ui -> master -> speakers
+  // Each bus has a level, mute and solo; while any bus is soloed only soloed buses are heard. The master
+  // has a level of its own.
+  // Contexts start suspended until a user gesture, so unlocking (and work that has to wait for it)
+  // is handled here too.
+  const audioEngine = (() => {
+    const BUS_NAMES = ['video', 'music', 'ambience', 'ui'];
+    const GESTURES = ['click', 'keydown', 'touchend'];
+    const sources = new WeakMap();
+    const busState = {};
+    const busNodes = {};
+    const unlockCallbacks = [];
+    let ctx = null;
+    let master = null;
+    let masterLevel = 1;
+    let silenced = false;
+    let unlocked = false;
+
+    BUS_NAMES.forEach(name => { busState[name] = { level: 1, muted: false, solo: false }; });
+
+    function context() {
+      if (ctx) return ctx;
+      ctx = new (window.AudioContext || window.webkitAudioContext)();
+      master = ctx.createGain();
+      master.gain.value = silenced ? 0 : masterLevel;
+      master.connect(ctx.destination);
+      BUS_NAMES.forEach(name => {
+        const node = ctx.createGain();
+        node.connect(master);
+        busNodes[name] = node;
+      });
+      applyBusGains();
+      if (unlocked) resume();
+      return ctx;
+    }
+
+    function resume() {
+      if (ctx && ctx.state === 'suspended') ctx.resume().catch(() => {});
+    }
+
+    function applyBusGains() {
+      if (!ctx) return;
+      const anySolo = BUS_NAMES.some(name => busState[name].solo);
+      BUS_NAMES.forEach(name => {
+        const { level, muted, solo } = busState[name];
+        const gain = muted || (anySolo && !solo) ? 0 : level;
+        busNodes[name].gain.setTargetAtTime(gain, ctx.currentTime, 0.02);
+      });
+    }
+
+    function setMaster(level) {
+      masterLevel = Math.min(1, Math.max(0, level));
+      if (master && !silenced) master.gain.setTargetAtTime(masterLevel, ctx.currentTime, 0.02);
+    }
+
+    // Every gesture resumes a suspended context (some browsers suspend again after interruptions);
+    // capture phase, because panels stop click propagation
+    function onGesture() {
+      resume();
+      if (unlocked) return;
+      unlocked = true;
+      unlockCallbacks.splice(0).forEach(fn => fn());
+    }
+    GESTURES.forEach(type => document.addEventListener(type, onGesture, true));
+
+    return {
+      BUS_NAMES,
+      context,
+      // Resume a suspended context; for playback that doesn't start from a gesture (next track, tab takeover)
+      resume,
+      // Run fn once audio may start (immediately if a gesture already happened)
+      onUnlock(fn) {
+        if (unlocked) fn();
+        else unlockCallbacks.push(fn);
+      },
+      mediaSource(el) {
+        if (!sources.has(el)) sources.set(el, context().createMediaElementSource(el));
+        return sources.get(el);
+      },
+      // Input node of a bus
+      bus(name) {
+        context();
+        return busNodes[name];
+      },
+      getBus(name) {
+        return { ...busState[name] };
+      },
+      getMaster() {
+        return masterLevel;
+      },
+      setMaster,
+      setBus(name, changes) {
+        Object.assign(busState[name], changes);
+        applyBusGains();
+      },
+      // Plain object for settings, and its inverse
+      saveBuses() {
+        return { ...JSON.parse(JSON.stringify(busState)), master: { level: masterLevel } };
+      },
+      restoreBuses(saved) {
+        if (!saved || typeof saved !== 'object') return;
+        if (saved.master && isFinite(Number(saved.master.level))) setMaster(Number(saved.master.level));
+        BUS_NAMES.forEach(name => {
+          const s = saved[name];
+          if (!s) return;
+          const level = Number(s.level);
+          if (isFinite(level)) busState[name].level = Math.min(1, Math.max(0, level));
+          busState[name].muted = s.muted === true;
+          busState[name].solo = s.solo === true;
+        });
+        applyBusGains();
+      },
+      // Silence everything at the master (tabs that don't lead stay quiet)
+      setSilenced(on) {
+        silenced = on;
+        if (master) master.gain.setTargetAtTime(on ? 0 : masterLevel, ctx.currentTime, 0.05);
+      }
+    };
+  })();
+
+  // --- Tab coordination ---
+  // With the page open in several tabs, one tab (the leader) runs the Pomodoro timer and plays all audio;
+  // the others mirror its state and forward their controls to it. Leadership is a Web Lock held for the
+  // tab's lifetime, so when the leader closes the lock (and the role) passes to the next tab in line.
+  // Messages are { type, data, from } on a BroadcastChannel. Without BroadcastChannel or Web Locks every
+  // tab leads on its own.
+  const tabSync = (() => {
+    const CHANNEL_NAME = 'nightcord-tabs';
+    const LOCK_NAME = 'nightcord-leader';
+    const tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    const handlers = {};
+    const roleCallbacks = [];
+    let channel = null;
+    let leader = null; // unknown until the lock request settles
+
+    function setRole(isLeader) {
+      if (leader === isLeader) return;
+      leader = isLeader;
+      roleCallbacks.forEach(fn => fn(isLeader));
+    }
+
+    // Resolves only when the tab goes away, so the lock is never released while it lives
+    const holdForever = () => new Promise(() => {});
+
+    if ('BroadcastChannel' in window && navigator.locks) {
+      channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.onmessage = (e) => {
+        const msg = e.data;
+        if (!msg || msg.from === tabId || !handlers[msg.type]) return;
+        handlers[msg.type].forEach(fn => fn(msg.data));
+      };
+      navigator.locks.request(LOCK_NAME, { ifAvailable: true }, lock => {
+        if (lock) {
+          setRole(true);
+          return holdForever();
+        }
+        setRole(false);
+        navigator.locks.request(LOCK_NAME, () => {
+          setRole(true);
+          return holdForever();
+        });
+      }).catch(err => {
+        console.warn('[tabs] Leader election unavailable, running standalone', err);
+        setRole(true);
+      });
+    } else {
+      leader = true;
+    }
+
+    return {
+      // Run fn with the role once it is known, and again on promotion
+      onRole(fn) {
+        roleCallbacks.push(fn);
+        if (leader !== null) fn(leader);
+      },
+      send(type, data) {
+        if (channel) channel.postMessage({ type, data, from: tabId });
+      },
+      on(type, fn) {
+        (handlers[type] = handlers[type] || []).push(fn);
+      }
+    };
+  })();
+
+  // --- Audio processing ---
+  // The chain is source -> compressor -> EQ bands -> output gain -> limiter -> destination. Every stage
+  // is driven by processingParams, which the audio panel edits and presets replace wholesale.
+  const EQ_BANDS = [
+    { type: 'lowshelf', label: '低频' },
+    { type: 'peaking', label: '中低频' },
+    { type: 'peaking', label: '中频' },
+    { type: 'peaking', label: '中高频' },
+    { type: 'highshelf', label: '高频' }
+  ];
+  // Clamp ranges per parameter name (DynamicsCompressor limits for the dynamics stages)
+  const PARAM_RANGES = {
+    frequency: [20, 20000],
+    gain: [-24, 12],
+    Q: [0.1, 10],
+    threshold: [-100, 0],
+    knee: [0, 40],
+    ratio: [1, 20],
+    attack: [0, 1],
+    release: [0, 1],
+    outputGain: [-24, 12],
+    strength: [0, 1],
+    bandLow: [60, 1000],
+    bandHigh: [1000, 16000],
+    duckLevel: [0, 1]
+  };
+  const PROCESSING_PRESETS = {
+    'voice-reduced': {
+      name: '人声衰减',
+      params: {
+        eq: [
+          { frequency: 120, gain: 0, Q: 0.7 },
+          { frequency: 800, gain: -8, Q: 1 },
+          { frequency: 2000, gain: -8, Q: 1 },
+          { frequency: 4000, gain: 0, Q: 1 },
+          { frequency: 8000, gain: 0, Q: 0.7 }
+        ],
+        compressor: { threshold: -40, knee: 0, ratio: 20, attack: 0.003, release: 0.25 },
+        limiter: { threshold: -1, release: 0.1 },
+        outputGain: 2.3 // the original fixed 1.3x gain
+      }
+    },
+    'quiet-background': {
+      name: '安静背景',
+      params: {
+        eq: [
+          { frequency: 150, gain: 2, Q: 0.7 },
+          { frequency: 500, gain: 0, Q: 1 },
+          { frequency: 1500, gain: -3, Q: 1 },
+          { frequency: 3500, gain: -4, Q: 1 },
+          { frequency: 7000, gain: -6, Q: 0.7 }
+        ],
+        compressor: { threshold: -30, knee: 6, ratio: 8, attack: 0.01, release: 0.3 },
+        limiter: { threshold: -3, release: 0.1 },
+        outputGain: -6
+      }
+    },
+    night: {
+      name: '夜间',
+      params: {
+        eq: [
+          { frequency: 100, gain: -6, Q: 0.7 },
+          { frequency: 800, gain: -6, Q: 1 },
+          { frequency: 2000, gain: -8, Q: 1 },
+          { frequency: 4000, gain: -3, Q: 1 },
+          { frequency: 7000, gain: -6, Q: 0.7 }
+        ],
+        compressor: { threshold: -45, knee: 0, ratio: 20, attack: 0.002, release: 0.4 },
+        limiter: { threshold: -8, release: 0.2 },
+        outputGain: -4
+      }
+    }
+  };
+  const DEFAULT_PRESET_ID = 'voice-reduced';
+  const CUSTOM_PRESETS_KEY = 'audioProcessingPresets';
+
+  function cloneParams(params) {
+    return JSON.parse(JSON.stringify(params));
+  }
+
+  function clampParam(name, value, fallback) {
+    const n = Number(value);
+    if (!isFinite(n)) return fallback;
+    const [min, max] = PARAM_RANGES[name];
+    return Math.min(max, Math.max(min, n));
+  }
+
+  // Fill a stored (possibly partial or outdated) parameter set from the defaults
+  function normalizeProcessingParams(raw) {
+    const params = cloneParams(PROCESSING_PRESETS[DEFAULT_PRESET_ID].params);
+    if (!raw || typeof raw !== 'object') return params;
+    params.eq.forEach((band, i) => {
+      const src = Array.isArray(raw.eq) && raw.eq[i];
+      if (!src) return;
+      Object.keys(band).forEach(k => { band[k] = clampParam(k, src[k], band[k]); });
+    });
+    ['compressor', 'limiter'].forEach(stage => {
+      if (!raw[stage]) return;
+      Object.keys(params[stage]).forEach(k => { params[stage][k] = clampParam(k, raw[stage][k], params[stage][k]); });
+    });
+    params.outputGain = clampParam('outputGain', raw.outputGain, params.outputGain);
+    return params;
+  }
+
+  function loadCustomPresets() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY) || '{}');
+      const presets = {};
+      Object.keys(saved).forEach(name => { presets[name] = normalizeProcessingParams(saved[name]); });
+      return presets;
+    } catch (e) {
+      console.warn('Failed to load audio presets', e);
+      return {};
+    }
+  }
+
+  let processingParams = cloneParams(PROCESSING_PRESETS[DEFAULT_PRESET_ID].params);
+  let processingPresetId = DEFAULT_PRESET_ID; // null once edited by hand; custom presets are 'custom:<name>'
+  let customPresets = loadCustomPresets();
+  let eqFilters = [];
+  let limiter = null;
+  let vocalRemovalParams = { strength: 0.8, bandLow: 150, bandHigh: 6000 };
+  let vocalBandFilters = [];
+  let vocalCancelGain = null;
+  // Auto-duck: the video drops to `level` while a CD track plays, and the CD drops to the same level
+  // while a Pomodoro cue sounds. duckGain is the last video node before the speakers.
+  const DUCK_TIME_CONSTANT_S = 0.2; // ~0.6s to settle
+  let duckSettings = { enabled: true, level: 0.35 };
+  let duckGain = null;
+  let cdPlaying = false;
+
+  function presetParams(id) {
+    if (!id) return null;
+    if (id.startsWith('custom:')) return customPresets[id.slice(7)] || null;
+    return PROCESSING_PRESETS[id] ? PROCESSING_PRESETS[id].params : null;
+  }
+
+  function setParam(param, value) {
+    param.setTargetAtTime(value, audioContext.currentTime, 0.02);
+  }
+
+  // Push processingParams into the live nodes (no-op until the chain exists)
+  function applyProcessingParams() {
+    if (!audioContext || !compressor) return;
+    const p = processingParams;
+    eqFilters.forEach((filter, i) => {
+      setParam(filter.frequency, p.eq[i].frequency);
+      setParam(filter.gain, p.eq[i].gain);
+      setParam(filter.Q, p.eq[i].Q);
     });
+    Object.keys(p.compressor).forEach(k => setParam(compressor[k], p.compressor[k]));
+    setParam(gainNode.gain, Math.pow(10, p.outputGain / 20));
+    setParam(limiter.threshold, p.limiter.threshold);
+    setParam(limiter.release, p.limiter.release);
+  }
+
+  // Mid/side vocal removal. Vocals usually sit in the centre, i.e. in mid = (L+R)/2, while the stereo
+  // ambience lives in side = (L-R)/2. The band-passed part of mid (bandLow..bandHigh) is subtracted from
+  // mid, scaled by strength, so bass and highs in the centre stay, and L/R are rebuilt as mid ± side.
+  function buildVocalRemover() {
+    vocalInput = audioContext.createGain();
+    // mono sources are up-mixed to L = R, which cancels cleanly instead of leaving a one-sided side signal
+    vocalInput.channelCount = 2;
+    vocalInput.channelCountMode = 'explicit';
+    vocalInput.channelInterpretation = 'speakers';
+    vocalOutput = audioContext.createGain();
+
+    vocalSplitter = audioContext.createChannelSplitter(2);
+    const merger = audioContext.createChannelMerger(2);
+    const gain = (value) => {
+      const node = audioContext.createGain();
+      node.gain.value = value;
+      return node;
+    };
+    const leftHalf = gain(0.5);
+    const rightHalf = gain(0.5);
+    const rightHalfNeg = gain(-0.5);
+    const mid = gain(1);
+    const side = gain(1);
+    const sideNeg = gain(-1);
+
+    vocalSplitter.connect(leftHalf, 0);
+    vocalSplitter.connect(rightHalf, 1);
+    vocalSplitter.connect(rightHalfNeg, 1);
+    leftHalf.connect(mid);
+    rightHalf.connect(mid);
+    leftHalf.connect(side);
+    rightHalfNeg.connect(side);
+
+    // mid - strength * bandpass(mid)
+    const midOut = gain(1);
+    const highpass = audioContext.createBiquadFilter();
+    highpass.type = 'highpass';
+    const lowpass = audioContext.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    vocalCancelGain = gain(0);
+    vocalBandFilters = [highpass, lowpass];
+    mid.connect(midOut);
+    mid.connect(highpass);
+    highpass.connect(lowpass);
+    lowpass.connect(vocalCancelGain);
+    vocalCancelGain.connect(midOut);
+
+    // L = mid + side, R = mid - side
+    midOut.connect(merger, 0, 0);
+    midOut.connect(merger, 0, 1);
+    side.connect(merger, 0, 0);
+    side.connect(sideNeg);
+    sideNeg.connect(merger, 0, 1);
+    merger.connect(vocalOutput);
+    applyVocalRemovalParams();
+  }
+
+  function applyVocalRemovalParams() {
+    if (!audioContext || !vocalCancelGain) return;
+    setParam(vocalBandFilters[0].frequency, vocalRemovalParams.bandLow);
+    setParam(vocalBandFilters[1].frequency, vocalRemovalParams.bandHigh);
+    setParam(vocalCancelGain.gain, -vocalRemovalParams.strength);
+  }
+
+  // Wire the graph for the current switches:
+  //   source -> vocal remover (or its bypass) -> processing chain (or straight on) -> duck -> out
+  function routeAudio() {
+    vocalInput.disconnect();
+    vocalInput.connect(isVocalRemoval ? vocalSplitter : vocalOutput);
+    vocalOutput.disconnect();
+    processingOutput.disconnect();
+    if (isAudioProcessing) {
+      vocalOutput.connect(compressor);
+      processingOutput.connect(duckGain);
+    } else {
+      vocalOutput.connect(duckGain);
+    }
+  }
+
+  function updateVideoDuck() {
+    if (!duckGain) return;
+    const target = duckSettings.enabled && cdPlaying ? duckSettings.level : 1;
+    duckGain.gain.setTargetAtTime(target, audioContext.currentTime, DUCK_TIME_CONSTANT_S);
   }
 
-  // Audio processing functions
+  // playTrack()/pauseTrack() in the CD player announce these
+  document.addEventListener('cdplayer:play', () => {
+    cdPlaying = true;
+    // the CD only plays after a user gesture, so the graph can be created running here
+    if (duckSettings.enabled && !audioContext) initAudioProcessing();
+    updateVideoDuck();
+  });
+  document.addEventListener('cdplayer:pause', () => {
+    cdPlaying = false;
+    updateVideoDuck();
+  });
+
+  // Only the leading tab is heard. Followers route the video through the engine so the silenced master
+  // covers it too (their context may stay suspended, which is just as quiet).
+  tabSync.onRole(isLeader => {
+    audioEngine.setSilenced(!isLeader);
+    if (!isLeader) initAudioProcessing();
+  });
+
   function initAudioProcessing() {
     if (audioContext) return; // Already initialized
     
     try {
-      audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      audioSource = audioContext.createMediaElementSource(video);
+      audioContext = audioEngine.context();
+      // Both video layers feed one input node so processing survives part transitions
+      audioSource = audioContext.createGain();
+      videoElements.forEach(el => {
+        audioEngine.mediaSource(el).connect(audioSource);
+      });
+      buildVocalRemover();
+      audioSource.connect(vocalInput);
+      duckGain = audioContext.createGain();
+      duckGain.connect(audioEngine.bus('video'));
       
-      // Create compressor (limiter) - set threshold to -40dB
       compressor = audioContext.createDynamicsCompressor();
-      compressor.threshold.value = -40; // -40dB threshold
-      compressor.knee.value = 0; // Hard knee for limiting
-      compressor.ratio.value = 20; // High ratio for limiting
-      compressor.attack.value = 0.003; // Fast attack
-      compressor.release.value = 0.25; // Release time
-      
-      // Create gain node
-      gainNode = audioContext.createGain();
-      gainNode.gain.value = 1.3;
       
-      // Create vocal reducer using peaking filter for 300Hz-3kHz range
-      // We'll use multiple filters to cover the vocal range
-      const vocalFilter1 = audioContext.createBiquadFilter();
-      vocalFilter1.type = 'peaking';
-      vocalFilter1.frequency.value = 800; // Center frequency for lower vocals
-      vocalFilter1.Q.value = 1.0;
-      vocalFilter1.gain.value = -8; // -8dB reduction
+      eqFilters = EQ_BANDS.map(band => {
+        const filter = audioContext.createBiquadFilter();
+        filter.type = band.type;
+        return filter;
+      });
       
-      const vocalFilter2 = audioContext.createBiquadFilter();
-      vocalFilter2.type = 'peaking';
-      vocalFilter2.frequency.value = 2000; // Center frequency for upper vocals
-      vocalFilter2.Q.value = 1.0;
-      vocalFilter2.gain.value = -8; // -8dB reduction
+      // Output gain, then a brickwall-style limiter so boosts can't clip
+      gainNode = audioContext.createGain();
+      limiter = audioContext.createDynamicsCompressor();
+      limiter.knee.value = 0;
+      limiter.ratio.value = 20;
+      limiter.attack.value = 0.001;
       
-      // Connect the chain: source -> compressor -> gain -> vocal filters -> destination
-      audioSource.connect(compressor);
-      compressor.connect(gainNode);
-      gainNode.connect(vocalFilter1);
-      vocalFilter1.connect(vocalFilter2);
+      // Connect the chain: compressor -> EQ -> gain -> limiter (routeAudio() wires its ends)
+      [compressor, ...eqFilters, gainNode, limiter].reduce((from, to) => {
+        from.connect(to);
+        return to;
+      });
       
-      // Store reference to final filter for easy disconnect
-      vocalReducer = vocalFilter2;
+      // Store reference to final node for easy disconnect
+      processingOutput = limiter;
+      applyProcessingParams();
+      routeAudio();
+      updateVideoDuck();
     } catch (e) {
       console.error('Failed to initialize audio processing:', e);
       audioContext = null;
@@ -279,19 +1193,8 @@
     }
     
     try {
-      if (isAudioProcessing) {
-        // Disconnect processing chain and connect directly to destination
-        vocalReducer.disconnect();
-        audioSource.disconnect();
-        audioSource.connect(audioContext.destination);
-        isAudioProcessing = false;
-      } else {
-        // Connect through processing chain
-        audioSource.disconnect();
-        audioSource.connect(compressor);
-        vocalReducer.connect(audioContext.destination);
-        isAudioProcessing = true;
-      }
+      isAudioProcessing = !isAudioProcessing;
+      routeAudio();
       
       // Update button UI
       if (audioProcessBtn) {
@@ -300,6 +1203,7 @@
           '音频处理已开启（点击关闭）' : 
           '音频处理（限幅+降低人声）';
       }
+      if (audioPanelEnable) audioPanelEnable.checked = isAudioProcessing;
       
       saveSettings();
     } catch (e) {
@@ -307,94 +1211,1151 @@
     }
   }
 
-  // Audio processing button event listener
-  if (audioProcessBtn) {
-    audioProcessBtn.addEventListener('click', toggleAudioProcessing);
-  }
-
-  // Persist settings to localStorage
-  const SETTINGS_KEY = 'videoPlayerSettings';
+  // Vocal removal has its own bypass and works with or without the processing chain
+  function toggleVocalRemoval() {
+    if (!audioContext) {
+      initAudioProcessing();
+      if (!audioContext) return; // Failed to initialize
+    }
 
-  function saveSettings() {
     try {
-      const s = {
-        muted: !!video.muted,
-        volume: Number(video.volume) || 0,
-        timezoneMode: timezoneMode,
-        audioProcessing: isAudioProcessing
-      };
-      localStorage.setItem(SETTINGS_KEY, JSON.stringify(s));
+      isVocalRemoval = !isVocalRemoval;
+      routeAudio();
+      if (vocalRemovalEnable) vocalRemovalEnable.checked = isVocalRemoval;
+      saveSettings();
     } catch (e) {
-      // ignore
+      console.error('Failed to toggle vocal removal:', e);
     }
   }
 
-  function loadSettings() {
+  // --- Audio panel ---
+  // Built from processingParams; any edit detaches from the selected preset until it is saved as one.
+  const audioPanelBtn = document.getElementById('audioPanelBtn');
+  const audioPanel = document.getElementById('audioPanel');
+  const audioPanelCloseBtn = document.getElementById('audioPanelCloseBtn');
+  const audioPanelEnable = document.getElementById('audioPanelEnable');
+  const audioPresetSelect = document.getElementById('audioPresetSelect');
+  const audioPresetSaveBtn = document.getElementById('audioPresetSaveBtn');
+  const audioPresetDeleteBtn = document.getElementById('audioPresetDeleteBtn');
+  const audioPanelBody = document.getElementById('audioPanelBody');
+  let vocalRemovalEnable = null; // rebuilt with the panel body
+
+  function selectProcessingPreset(id) {
+    const params = presetParams(id);
+    if (!params) return;
+    processingParams = cloneParams(params);
+    processingPresetId = id;
+    applyProcessingParams();
+    saveSettings();
+    renderAudioPanel();
+  }
+
+  function saveCustomPresets() {
     try {
-      const raw = localStorage.getItem(SETTINGS_KEY);
-      if (!raw) return;
-      const s = JSON.parse(raw);
-      if (typeof s.volume === 'number') video.volume = s.volume;
-      if (typeof s.muted === 'boolean') video.muted = s.muted;
-      if (s.timezoneMode) timezoneMode = s.timezoneMode;
-      // Load audio processing setting (will be applied after user interaction)
-      if (typeof s.audioProcessing === 'boolean' && s.audioProcessing) {
-        // Defer enabling audio processing until after first user interaction
-        const enableOnInteraction = () => {
-          if (!isAudioProcessing) {
-            toggleAudioProcessing();
-          }
-          document.removeEventListener('click', enableOnInteraction);
-          document.removeEventListener('keydown', enableOnInteraction);
-        };
-        document.addEventListener('click', enableOnInteraction, { once: true });
-        document.addEventListener('keydown', enableOnInteraction, { once: true });
-      }
-      // reflect UI (no playbackRate control)
+      localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(customPresets));
     } catch (e) {
-      // ignore
+      console.warn('Failed to save audio presets', e);
     }
   }
 
-  // Desired behavior: keep the playback matched to local clock. Periodically check and correct drift.
-  function getNowByMode() {
-    if (timezoneMode === 'local') return new Date();
-    // Tokyo: compute from UTC +9
-    const utcMs = Date.now() + new Date().getTimezoneOffset() * 60000;
-    const tokyoMs = utcMs + 9 * 3600 * 1000;
-    return new Date(tokyoMs);
+  function editProcessingParam(update) {
+    update(processingParams);
+    processingPresetId = null;
+    applyProcessingParams();
+    saveSettings();
+    renderPresetSelect();
   }
 
-  function resyncOnce() {
-    const now = getNowByMode();
-    localTimeEl.textContent = formatTime(now);
+  function renderPresetSelect() {
+    if (!audioPresetSelect) return;
+    audioPresetSelect.innerHTML = '';
+    const add = (value, text) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      audioPresetSelect.appendChild(option);
+    };
+    Object.keys(PROCESSING_PRESETS).forEach(id => add(id, PROCESSING_PRESETS[id].name));
+    Object.keys(customPresets).forEach(name => add('custom:' + name, '★ ' + name));
+    if (!processingPresetId) add('', '自定义（未保存）');
+    audioPresetSelect.value = processingPresetId || '';
+    if (audioPresetDeleteBtn) audioPresetDeleteBtn.disabled = !(processingPresetId || '').startsWith('custom:');
+  }
 
-    const { partIndex, offset } = computePartAndOffset(now);
-    const key = partIndexToKey(partIndex);
-    partNameEl.textContent = key.toUpperCase();
+  // One labelled slider (or number box) bound to a parameter
+  function paramControl({ label, name, value, step, unit = '', number = false, scale = 1, onChange }) {
+    const row = document.createElement('label');
+    row.className = 'audio-param';
+    const text = document.createElement('span');
+    text.className = 'audio-param-label';
+    text.textContent = label;
+    const input = document.createElement('input');
+    input.type = number ? 'number' : 'range';
+    input.min = String(PARAM_RANGES[name][0] * scale);
+    input.max = String(PARAM_RANGES[name][1] * scale);
+    input.step = String(step);
+    input.value = String(+(value * scale).toFixed(3));
+    const readout = document.createElement('span');
+    readout.className = 'audio-param-value';
+    // number boxes show their own value, so only the unit goes next to them
+    const showValue = () => { readout.textContent = number ? unit : `${input.value}${unit}`; };
+    showValue();
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      if (!isFinite(v)) return;
+      showValue();
+      onChange(clampParam(name, v / scale, value));
+    });
+    row.append(text, input, readout);
+    return row;
+  }
 
-    const desired = offset;
+  function audioSection(title, controls) {
+    const section = document.createElement('div');
+    section.className = 'audio-section';
+    const heading = document.createElement('div');
+    heading.className = 'audio-section-title';
+    heading.textContent = title;
+    section.appendChild(heading);
+    controls.forEach(c => section.appendChild(c));
+    return section;
+  }
 
-    // If part changed, load new source and seek
-    if (lastPartIndex === null || lastPartIndex !== partIndex) {
-      return loadAndSeekTo(partIndex, desired).catch(console.warn).finally(updateControlsUI);
+  function renderAudioPanel() {
+    renderPresetSelect();
+    if (audioPanelEnable) audioPanelEnable.checked = isAudioProcessing;
+    if (!audioPanelBody) return;
+    const p = processingParams;
+    audioPanelBody.innerHTML = '';
+
+    // Vocal removal first: it is the first stage of the graph and isn't part of the presets
+    vocalRemovalEnable = document.createElement('input');
+    vocalRemovalEnable.type = 'checkbox';
+    vocalRemovalEnable.checked = isVocalRemoval;
+    vocalRemovalEnable.addEventListener('change', () => {
+      if (vocalRemovalEnable.checked !== isVocalRemoval) toggleVocalRemoval();
+    });
+    const vocalToggle = document.createElement('label');
+    vocalToggle.className = 'audio-enable';
+    vocalToggle.append(vocalRemovalEnable, document.createTextNode(' 启用人声消除（可单独使用）'));
+    const editVocal = (key) => (v) => {
+      vocalRemovalParams[key] = v;
+      applyVocalRemovalParams();
+      saveSettings();
+    };
+    const vr = vocalRemovalParams;
+    audioPanelBody.appendChild(audioSection('人声消除 (Mid/Side)', [
+      vocalToggle,
+      paramControl({ label: '强度', name: 'strength', value: vr.strength, step: 5, unit: '%', scale: 100, onChange: editVocal('strength') }),
+      paramControl({ label: '频段下限', name: 'bandLow', value: vr.bandLow, step: 10, unit: 'Hz', number: true, onChange: editVocal('bandLow') }),
+      paramControl({ label: '频段上限', name: 'bandHigh', value: vr.bandHigh, step: 100, unit: 'Hz', number: true, onChange: editVocal('bandHigh') })
+    ]));
+
+    const duckToggle = document.createElement('label');
+    duckToggle.className = 'audio-enable';
+    const duckEnable = document.createElement('input');
+    duckEnable.type = 'checkbox';
+    duckEnable.checked = duckSettings.enabled;
+    duckEnable.addEventListener('change', () => {
+      duckSettings.enabled = duckEnable.checked;
+      updateVideoDuck();
+      saveSettings();
+    });
+    duckToggle.append(duckEnable, document.createTextNode(' 播放 CD 时降低视频音量，番茄钟提示时降低 CD 音量'));
+    audioPanelBody.appendChild(audioSection('自动避让', [
+      duckToggle,
+      paramControl({ label: '避让音量', name: 'duckLevel', value: duckSettings.level, step: 5, unit: '%', scale: 100, onChange: (level) => {
+        duckSettings.level = level;
+        updateVideoDuck();
+        saveSettings();
+      } })
+    ]));
+
+    audioPanelBody.appendChild(audioSection('均衡器', EQ_BANDS.map((band, i) => {
+      const row = document.createElement('div');
+      row.className = 'audio-eq-band';
+      row.append(
+        paramControl({ label: band.label, name: 'gain', value: p.eq[i].gain, step: 0.5, unit: ' dB', onChange: v => editProcessingParam(q => { q.eq[i].gain = v; }) }),
+        paramControl({ label: '频率', name: 'frequency', value: p.eq[i].frequency, step: 10, unit: 'Hz', number: true, onChange: v => editProcessingParam(q => { q.eq[i].frequency = v; }) })
+      );
+      // shelf filters ignore Q, so only the peaking bands get the control
+      if (band.type === 'peaking') {
+        row.appendChild(paramControl({ label: 'Q', name: 'Q', value: p.eq[i].Q, step: 0.1, number: true, onChange: v => editProcessingParam(q => { q.eq[i].Q = v; }) }));
+      }
+      return row;
+    })));
+
+    audioPanelBody.appendChild(audioSection('压缩器', [
+      paramControl({ label: '阈值', name: 'threshold', value: p.compressor.threshold, step: 1, unit: ' dB', onChange: v => editProcessingParam(q => { q.compressor.threshold = v; }) }),
+      paramControl({ label: '比率', name: 'ratio', value: p.compressor.ratio, step: 0.5, unit: ':1', onChange: v => editProcessingParam(q => { q.compressor.ratio = v; }) }),
+      paramControl({ label: '拐点', name: 'knee', value: p.compressor.knee, step: 1, unit: ' dB', onChange: v => editProcessingParam(q => { q.compressor.knee = v; }) }),
+      paramControl({ label: '启动', name: 'attack', value: p.compressor.attack, step: 1, unit: ' ms', scale: 1000, onChange: v => editProcessingParam(q => { q.compressor.attack = v; }) }),
+      paramControl({ label: '释放', name: 'release', value: p.compressor.release, step: 10, unit: ' ms', scale: 1000, onChange: v => editProcessingParam(q => { q.compressor.release = v; }) })
+    ]));
+
+    audioPanelBody.appendChild(audioSection('限幅器与输出', [
+      paramControl({ label: '上限', name: 'threshold', value: p.limiter.threshold, step: 0.5, unit: ' dB', onChange: v => editProcessingParam(q => { q.limiter.threshold = v; }) }),
+      paramControl({ label: '释放', name: 'release', value: p.limiter.release, step: 10, unit: ' ms', scale: 1000, onChange: v => editProcessingParam(q => { q.limiter.release = v; }) }),
+      paramControl({ label: '输出增益', name: 'outputGain', value: p.outputGain, step: 0.5, unit: ' dB', onChange: v => editProcessingParam(q => { q.outputGain = v; }) })
+    ]));
+  }
+
+  if (audioPanelBtn && audioPanel) {
+    audioPanelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      audioPanel.classList.toggle('hidden');
+      if (!audioPanel.classList.contains('hidden')) renderAudioPanel();
+    });
+    if (audioPanelCloseBtn) audioPanelCloseBtn.addEventListener('click', () => audioPanel.classList.add('hidden'));
+    audioPanel.addEventListener('click', (e) => e.stopPropagation());
+  }
+  if (audioPanelEnable) {
+    audioPanelEnable.addEventListener('change', () => {
+      if (audioPanelEnable.checked !== isAudioProcessing) toggleAudioProcessing();
+    });
+  }
+  if (audioPresetSelect) {
+    audioPresetSelect.addEventListener('change', () => selectProcessingPreset(audioPresetSelect.value));
+  }
+  if (audioPresetSaveBtn) {
+    audioPresetSaveBtn.addEventListener('click', () => {
+      const current = (processingPresetId || '').startsWith('custom:') ? processingPresetId.slice(7) : '';
+      const name = (prompt('预设名称：', current) || '').trim();
+      if (!name) return;
+      customPresets[name] = cloneParams(processingParams);
+      saveCustomPresets();
+      processingPresetId = 'custom:' + name;
+      saveSettings();
+      renderPresetSelect();
+    });
+  }
+  if (audioPresetDeleteBtn) {
+    audioPresetDeleteBtn.addEventListener('click', () => {
+      if (!(processingPresetId || '').startsWith('custom:')) return;
+      const name = processingPresetId.slice(7);
+      if (!confirm(`删除预设“${name}”？`)) return;
+      delete customPresets[name];
+      saveCustomPresets();
+      // keep the current sound; it just no longer has a name
+      processingPresetId = null;
+      saveSettings();
+      renderPresetSelect();
+    });
+  }
+
+  // --- Ambience mixer ---
+  // Procedural background layers mixed under the video audio in the same audioContext. Nothing is
+  // downloaded: steady layers are filtered noise loops, keyboard and pen are short noise events
+  // scheduled with a small lookahead. A layer only runs while its level is above zero.
+  const ambiencePanel = document.getElementById('ambiencePanel');
+  const ambienceBtn = document.getElementById('ambienceBtn');
+  const ambienceCloseBtn = document.getElementById('ambienceCloseBtn');
+  const ambienceListEl = document.getElementById('ambienceList');
+  const busListEl = document.getElementById('busList');
+  const BUS_LABELS = { video: '🎬 视频', music: '💿 音乐', ambience: '🌧️ 环境音', ui: '🔔 提示音' };
+  const MASTER_LABEL = '🎚️ 总音量';
+  const AMBIENCE_LOOKAHEAD_S = 1.5; // survives the 1s timer throttling of background tabs
+  const ambienceLevels = { rain: 0, city: 0, cafe: 0, keyboard: 0, pen: 0 };
+  const ambienceVoices = {}; // id -> { gain, stop }
+  const noiseBuffers = {};
+
+  const rand = (min, max) => min + Math.random() * (max - min);
+
+  // A few seconds of white, pink or brown noise, looped by the steady layers
+  function noiseBuffer(color) {
+    if (noiseBuffers[color]) return noiseBuffers[color];
+    const length = audioContext.sampleRate * 4;
+    const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    let b0 = 0, b1 = 0, b2 = 0, last = 0;
+    for (let i = 0; i < length; i++) {
+      const white = Math.random() * 2 - 1;
+      if (color === 'pink') {
+        b0 = 0.99765 * b0 + white * 0.0990460;
+        b1 = 0.96300 * b1 + white * 0.2965164;
+        b2 = 0.57000 * b2 + white * 1.0526913;
+        data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.11;
+      } else if (color === 'brown') {
+        last = (last + 0.02 * white) / 1.02;
+        data[i] = last * 3.5;
+      } else {
+        data[i] = white;
+      }
     }
+    noiseBuffers[color] = buffer;
+    return buffer;
+  }
 
-    // Same part: check drift
-    const current = video.currentTime || 0;
-    const drift = Math.abs(current - desired);
-    // allow a small tolerance (30 seconds)
-    if (drift > 30) {
-      // seek to correct position
+  function noiseSource(color, loop) {
+    const src = audioContext.createBufferSource();
+    src.buffer = noiseBuffer(color);
+    src.loop = loop;
+    return src;
+  }
+
+  function ambienceFilter(type, frequency, Q = 0.7) {
+    const filter = audioContext.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    return filter;
+  }
+
+  function connectChain(...nodes) {
+    nodes.reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+  }
+
+  // Slow amplitude wobble on a gain node: base +/- depth at the given rates
+  function modulate(gain, base, depth, rates) {
+    gain.gain.value = base;
+    const oscillators = rates.map(rate => {
+      const osc = audioContext.createOscillator();
+      osc.frequency.value = rate;
+      const amount = audioContext.createGain();
+      amount.gain.value = depth / rates.length;
+      osc.connect(amount);
+      amount.connect(gain.gain);
+      osc.start();
+      return osc;
+    });
+    return () => oscillators.forEach(osc => osc.stop());
+  }
+
+  // Schedule one-shot events ahead of time; nextGap() returns seconds until the following event
+  function eventLayer(out, nextGap, playEvent) {
+    let nextTime = audioContext.currentTime + 0.1;
+    const timer = setInterval(() => {
+      const now = audioContext.currentTime;
+      // after a long stall, resume from now instead of firing a burst of overdue events
+      if (nextTime < now) nextTime = now + 0.05;
+      while (nextTime < now + AMBIENCE_LOOKAHEAD_S) {
+        playEvent(out, nextTime);
+        nextTime += nextGap();
+      }
+    }, 250);
+    return () => clearInterval(timer);
+  }
+
+  const AMBIENCE_LAYERS = [
+    {
+      id: 'rain',
+      label: '🌧️ 雨声',
+      build(out) {
+        const src = noiseSource('pink', true);
+        connectChain(src, ambienceFilter('highpass', 400), ambienceFilter('lowpass', 7000), out);
+        src.start();
+        return () => src.stop();
+      }
+    },
+    {
+      id: 'city',
+      label: '🌃 远处城市',
+      build(out) {
+        const src = noiseSource('brown', true);
+        const swell = audioContext.createGain();
+        connectChain(src, ambienceFilter('lowpass', 350), swell, out);
+        const stopLfo = modulate(swell, 0.8, 0.3, [0.05, 0.013]);
+        src.start();
+        return () => { src.stop(); stopLfo(); };
+      }
+    },
+    {
+      id: 'cafe',
+      label: '☕ 咖啡馆',
+      build(out) {
+        // band-limited noise with syllable-rate wobble reads as distant chatter
+        const src = noiseSource('pink', true);
+        const murmur = audioContext.createGain();
+        connectChain(src, ambienceFilter('bandpass', 700, 0.9), ambienceFilter('lowpass', 2500), murmur, out);
+        const stopLfo = modulate(murmur, 0.6, 0.35, [3.1, 1.7, 0.4]);
+        src.start();
+        return () => { src.stop(); stopLfo(); };
+      }
+    },
+    {
+      id: 'keyboard',
+      label: '⌨️ 键盘',
+      build(out) {
+        // typing comes in words, with occasional thinking pauses
+        let keysLeftInWord = 0;
+        let keysLeftInBurst = Math.round(rand(20, 60));
+        const nextGap = () => {
+          if (--keysLeftInBurst <= 0) {
+            keysLeftInBurst = Math.round(rand(20, 60));
+            return rand(1.5, 5);
+          }
+          if (--keysLeftInWord <= 0) {
+            keysLeftInWord = Math.round(rand(3, 7));
+            return rand(0.15, 0.4);
+          }
+          return rand(0.08, 0.18);
+        };
+        const keystroke = (dest, t) => {
+          const src = noiseSource('white', false);
+          src.playbackRate.value = rand(0.8, 1.2);
+          const env = audioContext.createGain();
+          env.gain.setValueAtTime(0, t);
+          env.gain.linearRampToValueAtTime(rand(0.5, 1), t + 0.002);
+          env.gain.exponentialRampToValueAtTime(0.001, t + rand(0.03, 0.05));
+          const nodes = [src, ambienceFilter('bandpass', rand(1800, 4200), 1.5), env];
+          if (audioContext.createStereoPanner) {
+            const pan = audioContext.createStereoPanner();
+            pan.pan.value = rand(-0.3, 0.3);
+            nodes.push(pan);
+          }
+          connectChain(...nodes, dest);
+          src.start(t, rand(0, 3));
+          src.stop(t + 0.06);
+        };
+        return eventLayer(out, nextGap, keystroke);
+      }
+    },
+    {
+      id: 'pen',
+      label: '✏️ 笔尖',
+      build(out) {
+        let strokesLeft = Math.round(rand(4, 12));
+        const nextGap = () => {
+          if (--strokesLeft <= 0) {
+            strokesLeft = Math.round(rand(4, 12));
+            return rand(2, 6);
+          }
+          return rand(0.2, 0.7);
+        };
+        const stroke = (dest, t) => {
+          const length = rand(0.12, 0.5);
+          const src = noiseSource('white', false);
+          const env = audioContext.createGain();
+          env.gain.setValueAtTime(0, t);
+          env.gain.linearRampToValueAtTime(rand(0.3, 0.6), t + 0.02);
+          env.gain.linearRampToValueAtTime(rand(0.2, 0.5), t + length * 0.6);
+          env.gain.linearRampToValueAtTime(0, t + length);
+          connectChain(src, ambienceFilter('bandpass', rand(3500, 5500), 3), env, dest);
+          src.start(t, rand(0, 3));
+          src.stop(t + length + 0.01);
+        };
+        return eventLayer(out, nextGap, stroke);
+      }
+    }
+  ];
+
+  function setAmbienceLevel(id, level) {
+    ambienceLevels[id] = level;
+    if (!audioContext) {
+      if (level <= 0) return;
+      initAudioProcessing();
+      if (!audioContext) return; // Failed to initialize
+    }
+    const voice = ambienceVoices[id];
+    if (level > 0 && !voice) {
+      const gain = audioContext.createGain();
+      gain.gain.value = 0;
+      gain.connect(audioEngine.bus('ambience'));
+      const layer = AMBIENCE_LAYERS.find(l => l.id === id);
+      ambienceVoices[id] = { gain, stop: layer.build(gain) };
+      setParam(gain.gain, level);
+    } else if (level > 0) {
+      setParam(voice.gain.gain, level);
+    } else if (voice) {
+      // fade out, then stop the sources so an idle layer costs nothing
+      delete ambienceVoices[id];
+      setParam(voice.gain.gain, 0);
+      setTimeout(() => {
+        voice.stop();
+        voice.gain.disconnect();
+      }, 300);
+    }
+  }
+
+  // Start every layer with a saved level (first interaction after load)
+  function applyAmbience() {
+    Object.keys(ambienceLevels).forEach(id => setAmbienceLevel(id, ambienceLevels[id]));
+  }
+
+  // The video only passes through its bus once its graph exists (the CD builds its own on first play)
+  function ensureBusGraph(name) {
+    if (name === 'video') initAudioProcessing();
+  }
+
+  function busToggle(name, key, text, title) {
+    const btn = document.createElement('button');
+    btn.className = 'bus-toggle';
+    btn.textContent = text;
+    btn.title = title;
+    btn.setAttribute('aria-pressed', String(audioEngine.getBus(name)[key]));
+    btn.addEventListener('click', () => {
+      const on = !audioEngine.getBus(name)[key];
+      ensureBusGraph(name);
+      audioEngine.setBus(name, { [key]: on });
+      btn.setAttribute('aria-pressed', String(on));
+      saveSettings();
+    });
+    return btn;
+  }
+
+  function renderBusStrips() {
+    if (!busListEl) return;
+    busListEl.innerHTML = '';
+
+    // Master level first; the video only reaches the master once its graph exists
+    const masterRow = document.createElement('div');
+    masterRow.className = 'ambience-row';
+    const masterLabel = document.createElement('span');
+    masterLabel.className = 'ambience-name';
+    masterLabel.textContent = MASTER_LABEL;
+    const masterSlider = document.createElement('input');
+    masterSlider.type = 'range';
+    masterSlider.min = '0';
+    masterSlider.max = '1';
+    masterSlider.step = '0.01';
+    masterSlider.value = String(audioEngine.getMaster());
+    masterSlider.setAttribute('aria-label', MASTER_LABEL);
+    masterSlider.addEventListener('input', () => {
+      ensureBusGraph('video');
+      audioEngine.setMaster(parseFloat(masterSlider.value));
+      saveSettings();
+    });
+    masterRow.append(masterLabel, masterSlider);
+    busListEl.appendChild(masterRow);
+
+    audioEngine.BUS_NAMES.forEach(name => {
+      const row = document.createElement('div');
+      row.className = 'ambience-row';
+      const label = document.createElement('span');
+      label.className = 'ambience-name';
+      label.textContent = BUS_LABELS[name];
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = '0';
+      slider.max = '1';
+      slider.step = '0.01';
+      slider.value = String(audioEngine.getBus(name).level);
+      slider.setAttribute('aria-label', BUS_LABELS[name]);
+      slider.addEventListener('input', () => {
+        ensureBusGraph(name);
+        audioEngine.setBus(name, { level: parseFloat(slider.value) });
+        saveSettings();
+      });
+      row.append(label, slider, busToggle(name, 'muted', 'M', '静音'), busToggle(name, 'solo', 'S', '独奏'));
+      busListEl.appendChild(row);
+    });
+  }
+
+  function renderAmbiencePanel() {
+    renderBusStrips();
+    if (!ambienceListEl) return;
+    ambienceListEl.innerHTML = '';
+    AMBIENCE_LAYERS.forEach(layer => {
+      const row = document.createElement('label');
+      row.className = 'ambience-row';
+      const name = document.createElement('span');
+      name.className = 'ambience-name';
+      name.textContent = layer.label;
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = '0';
+      slider.max = '1';
+      slider.step = '0.01';
+      slider.value = String(ambienceLevels[layer.id]);
+      const readout = document.createElement('span');
+      readout.className = 'ambience-value';
+      readout.textContent = `${Math.round(ambienceLevels[layer.id] * 100)}%`;
+      slider.addEventListener('input', () => {
+        const level = parseFloat(slider.value);
+        readout.textContent = `${Math.round(level * 100)}%`;
+        setAmbienceLevel(layer.id, level);
+        saveSettings();
+      });
+      row.append(name, slider, readout);
+      ambienceListEl.appendChild(row);
+    });
+  }
+
+  if (ambienceBtn && ambiencePanel) {
+    ambienceBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      ambiencePanel.classList.toggle('hidden');
+      if (!ambiencePanel.classList.contains('hidden')) renderAmbiencePanel();
+    });
+    if (ambienceCloseBtn) ambienceCloseBtn.addEventListener('click', () => ambiencePanel.classList.add('hidden'));
+    ambiencePanel.addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  // Audio processing button event listener
+  if (audioProcessBtn) {
+    audioProcessBtn.addEventListener('click', toggleAudioProcessing);
+  }
+
+  // Persist settings to localStorage
+  const SETTINGS_KEY = 'videoPlayerSettings';
+
+  function saveSettings() {
+    try {
+      const s = {
+        muted: !!video.muted,
+        volume: Number(video.volume) || 0,
+        timezoneMode: timezoneMode,
+        audioProcessing: isAudioProcessing,
+        audioProcessingParams: processingParams,
+        audioPreset: processingPresetId,
+        vocalRemoval: isVocalRemoval,
+        vocalRemovalParams: vocalRemovalParams,
+        ambience: ambienceLevels,
+        ducking: duckSettings,
+        buses: audioEngine.saveBuses(),
+        dataSaver: dataSaverMode
+      };
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(s));
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  function loadSettings() {
+    try {
+      const raw = localStorage.getItem(SETTINGS_KEY);
+      if (!raw) return;
+      const s = JSON.parse(raw);
+      if (typeof s.volume === 'number') video.volume = s.volume;
+      if (typeof s.muted === 'boolean') video.muted = s.muted;
+      if (s.timezoneMode === 'tokyo') {
+        // settings saved before arbitrary zones were supported
+        timezoneMode = 'Asia/Tokyo';
+      } else if (s.timezoneMode === 'local' || isValidTimeZone(s.timezoneMode)) {
+        timezoneMode = s.timezoneMode;
+      }
+      if (['auto', 'on', 'off'].includes(s.dataSaver)) dataSaverMode = s.dataSaver;
+      // Processing parameters are restored now and applied when the chain is built on first interaction
+      if (s.audioProcessingParams) processingParams = normalizeProcessingParams(s.audioProcessingParams);
+      if (s.audioPreset === null || presetParams(s.audioPreset)) processingPresetId = s.audioPreset;
+      if (s.vocalRemovalParams) {
+        Object.keys(vocalRemovalParams).forEach(k => {
+          vocalRemovalParams[k] = clampParam(k, s.vocalRemovalParams[k], vocalRemovalParams[k]);
+        });
+      }
+      audioEngine.restoreBuses(s.buses);
+      if (s.ducking) {
+        if (typeof s.ducking.enabled === 'boolean') duckSettings.enabled = s.ducking.enabled;
+        duckSettings.level = clampParam('duckLevel', s.ducking.level, duckSettings.level);
+      }
+      if (s.ambience) {
+        Object.keys(ambienceLevels).forEach(id => {
+          const level = Number(s.ambience[id]);
+          if (isFinite(level)) ambienceLevels[id] = Math.min(1, Math.max(0, level));
+        });
+      }
+      // Load audio processing setting (will be applied after user interaction)
+      const restoreProcessing = s.audioProcessing === true;
+      const restoreVocalRemoval = s.vocalRemoval === true;
+      const restoreAmbience = Object.values(ambienceLevels).some(level => level > 0);
+      const videoBus = audioEngine.getBus('video');
+      const restoreVideoBus = videoBus.level !== 1 || videoBus.muted || audioEngine.getMaster() !== 1
+        || audioEngine.BUS_NAMES.some(name => audioEngine.getBus(name).solo);
+      if (restoreProcessing || restoreVocalRemoval || restoreAmbience || restoreVideoBus) {
+        // Defer enabling audio processing until after first user interaction
+        const enableOnInteraction = () => {
+          if (restoreProcessing && !isAudioProcessing) {
+            toggleAudioProcessing();
+          }
+          if (restoreVocalRemoval && !isVocalRemoval) {
+            toggleVocalRemoval();
+          }
+          if (restoreAmbience) applyAmbience();
+          if (restoreVideoBus) initAudioProcessing();
+        };
+        audioEngine.onUnlock(enableOnInteraction);
+      }
+      // reflect UI (no playbackRate control)
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  // --- Trusted clock ---
+  // Device clocks can be off by tens of seconds. clockNow() is Date.now() corrected by an offset that is
+  // estimated NTP-style (best of a few round trips) against a time endpoint, configured with ?clock=<url>
+  // or window.TIME_SYNC_CLOCK = { url, intervalMinutes }. The endpoint may answer with JSON
+  // ({ "epochMs": ... }, { "unixtime": ... }, { "datetime": "..." }) or just an HTTP Date header
+  // (cross-origin servers must expose it). Without an endpoint, or when it fails, the device clock is used.
+  const CLOCK_STORAGE_KEY = 'trustedClockOffset';
+  const CLOCK_SAMPLES = 4;
+  const CLOCK_CACHE_MAX_AGE_MS = 24 * 3600 * 1000;
+  const clockConfig = (() => {
+    const raw = window.TIME_SYNC_CLOCK;
+    if (typeof raw === 'string' && raw) return { url: raw, intervalMinutes: 30 };
+    if (raw && typeof raw.url === 'string') return { url: raw.url, intervalMinutes: raw.intervalMinutes || 30 };
+    return null;
+  })();
+  let clockOffsetMs = 0;
+
+  function clockNow() {
+    return Date.now() + clockOffsetMs;
+  }
+
+  function setClockOffset(offset, label) {
+    clockOffsetMs = offset;
+    if (localTimeEl) {
+      const signed = (offset >= 0 ? '+' : '') + (offset / 1000).toFixed(3) + 's';
+      localTimeEl.title = `时钟校准：${label}（设备时钟偏差 ${signed}）`;
+    }
+  }
+
+  // Apply the last measured offset right away so clocks are correct before the first round trip
+  try {
+    const cached = JSON.parse(localStorage.getItem(CLOCK_STORAGE_KEY) || 'null');
+    if (clockConfig && cached && cached.url === clockConfig.url && Date.now() - cached.measuredAt < CLOCK_CACHE_MAX_AGE_MS) {
+      setClockOffset(cached.offset, '上次测量');
+    }
+  } catch (e) {}
+
+  // Milliseconds since epoch from a JSON number, seconds or a date string
+  function toEpochMs(value) {
+    if (typeof value === 'number' && isFinite(value)) return value > 1e12 ? value : value * 1000;
+    if (typeof value === 'string') return Date.parse(value);
+    return NaN;
+  }
+
+  // Read the server time from a response: JSON fields first, then the HTTP Date header
+  async function readServerTime(response) {
+    const text = await response.text();
+    try {
+      const data = JSON.parse(text);
+      if (typeof data === 'number') return toEpochMs(data);
+      for (const field of ['epochMs', 'now', 'timestamp', 'unixtime', 'utc_datetime', 'datetime', 'dateTime']) {
+        const t = toEpochMs(data[field]);
+        if (!isNaN(t)) return t;
+      }
+    } catch (e) {
+      // not JSON: fall through to the header
+    }
+    const header = response.headers.get('Date');
+    // the Date header only has 1s resolution, so assume the middle of that second
+    if (header && !isNaN(Date.parse(header))) return Date.parse(header) + 500;
+    return NaN;
+  }
+
+  async function sampleClock(url) {
+    const sentAt = Date.now();
+    const t0 = performance.now();
+    const response = await fetch(url, { cache: 'no-store' });
+    const rtt = performance.now() - t0;
+    if (!response.ok) throw new Error('HTTP ' + response.status);
+    const serverTime = await readServerTime(response);
+    if (isNaN(serverTime)) throw new Error('No time found in response');
+    // assume the server read its clock halfway through the round trip
+    return { offset: serverTime - (sentAt + rtt / 2), rtt };
+  }
+
+  // Returns true when the offset moved enough that playback should resync
+  async function calibrateClock() {
+    if (!clockConfig) return false;
+    let best = null;
+    for (let i = 0; i < CLOCK_SAMPLES; i++) {
+      try {
+        const sample = await sampleClock(clockConfig.url);
+        if (!best || sample.rtt < best.rtt) best = sample;
+      } catch (e) {
+        console.warn('Clock sample failed:', e);
+      }
+    }
+    if (!best) {
+      // keep whatever offset we have (cached or device clock)
+      if (localTimeEl && !localTimeEl.title) localTimeEl.title = '时钟校准失败，使用设备时钟';
+      return false;
+    }
+    const previous = clockOffsetMs;
+    setClockOffset(best.offset, `往返 ${Math.round(best.rtt)}ms`);
+    try {
+      localStorage.setItem(CLOCK_STORAGE_KEY, JSON.stringify({
+        url: clockConfig.url,
+        offset: best.offset,
+        measuredAt: Date.now()
+      }));
+    } catch (e) {}
+    return Math.abs(best.offset - previous) > 500;
+  }
+
+  // Desired behavior: keep the playback matched to local clock. Periodically check and correct drift.
+  // Returns the (fractional) second of the day on the wall clock of the selected zone. Other zones are
+  // read straight from Intl's fields: rebuilding a local Date from them would shift inside the viewer's
+  // own DST gap or overlap.
+  function secondsOfDayByMode() {
+    const now = new Date(clockNow());
+    if (timezoneMode !== 'local') {
+      try {
+        const parts = {};
+        getZoneFormatter(timezoneMode).formatToParts(now).forEach(p => {
+          parts[p.type] = p.value;
+        });
+        return (parseInt(parts.hour) % 24) * 3600 // some engines report midnight as 24
+          + parseInt(parts.minute) * 60
+          + parseInt(parts.second)
+          + now.getMilliseconds() / 1000;
+      } catch (e) {}
+    }
+    return now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() / 1000;
+  }
+
+  // The current time in the selected zone, for the clock display
+  function formatTimeByMode() {
+    const now = new Date(clockNow());
+    if (timezoneMode !== 'local') {
+      try {
+        return now.toLocaleTimeString(undefined, { timeZone: timezoneMode });
+      } catch (e) {}
+    }
+    return now.toLocaleTimeString();
+  }
+
+  // --- Gapless part transitions ---
+  // A few minutes before a boundary the next segment is buffered in the standby layer, then at the
+  // boundary it is crossfaded in and the old layer's buffer is released.
+  const PRELOAD_LEAD_SECONDS = 180;
+  const CROSSFADE_MS = 1500;
+  let preloaded = null; // { partIndex, timer }
+  let isCrossfading = false;
+
+  // Drop a layer's media so the browser can free its buffer
+  function releaseVideo(el) {
+    el.pause();
+    el.playbackRate = 1;
+    el.removeAttribute('src');
+    el.load();
+  }
+
+  function cancelPreload() {
+    if (!preloaded) return;
+    clearTimeout(preloaded.timer);
+    preloaded = null;
+    releaseVideo(standbyVideo);
+  }
+
+  function schedulePreload(secondsOfDay, partIndex, offset) {
+    if (!standbyVideo) return;
+    const segment = schedule[partIndex];
+    const untilBoundary = segment.duration - offset;
+    if (untilBoundary > PRELOAD_LEAD_SECONDS) return;
+
+    const next = computePartAndOffsetAt(secondsOfDay + untilBoundary + 0.5);
+    // nothing to buffer when the next moment is a gap or plays from the same file
+    const nextSrc = next.partIndex === -1 ? null : segmentSource(schedule[next.partIndex]);
+    if (!nextSrc || next.partIndex === partIndex || nextSrc === segmentSource(segment)) return;
+
+    if (!preloaded || preloaded.partIndex !== next.partIndex) {
+      cancelPreload();
+      const el = standbyVideo;
+      el.muted = true;
+      el.preload = 'auto';
+      el.src = nextSrc;
+      el.load();
+      el.addEventListener('loadedmetadata', function onMeta() {
+        el.removeEventListener('loadedmetadata', onMeta);
+        // `next` was sampled half a second past the boundary
+        try { el.currentTime = Math.max(0, next.offset - 0.5); } catch (e) {}
+      });
+      preloaded = { partIndex: next.partIndex, timer: null };
+    }
+
+    // (re)arm the boundary timer; the boundary moves when the timezone changes
+    clearTimeout(preloaded.timer);
+    preloaded.timer = setTimeout(swapToPreloaded, Math.max(0, untilBoundary * 1000));
+  }
+
+  function swapToPreloaded() {
+    if (!preloaded) return;
+    if (recoveryTimer) {
+      // the pending recovery reloads whichever part is current by then; swapping now would be undone by it
+      cancelPreload();
+      return;
+    }
+    const target = preloaded;
+    preloaded = null;
+    clearTimeout(target.timer);
+
+    const incoming = standbyVideo;
+    const outgoing = video;
+    if (incoming.readyState < 2) {
+      // next part did not buffer in time: load it on the visible layer instead
+      releaseVideo(incoming);
+      resyncOnce();
+      return;
+    }
+
+    const { partIndex, offset } = computePartAndOffsetAt(secondsOfDayByMode());
+    if (partIndex !== target.partIndex) {
+      releaseVideo(incoming);
+      resyncOnce();
+      return;
+    }
+    if (Math.abs(incoming.currentTime - offset) > 1) {
+      try { incoming.currentTime = offset; } catch (e) {}
+    }
+
+    // carry the audio state over; processing is shared because both layers feed the same graph
+    let volume = outgoing.volume;
+    let applied = 0;
+    incoming.muted = outgoing.muted;
+    incoming.volume = applied;
+
+    video = incoming;
+    standbyVideo = outgoing;
+    lastPartIndex = target.partIndex;
+    isCrossfading = true;
+    markProgress(incoming);
+
+    // later siblings paint on top, so move the incoming layer above the outgoing one and fade it in
+    outgoing.after(incoming);
+    incoming.classList.remove('standby');
+    incoming.play().catch(() => {});
+
+    const started = Date.now();
+    // setInterval rather than requestAnimationFrame so the fade also completes in background tabs
+    const fade = setInterval(() => {
+      const t = Math.min(1, (Date.now() - started) / CROSSFADE_MS);
+      // the volume controls act on the incoming layer: a value we didn't set is the new level to fade to
+      if (incoming.volume !== applied) volume = incoming.volume;
+      applied = volume * t;
+      incoming.volume = applied;
+      outgoing.volume = volume * (1 - t);
+      outgoing.muted = incoming.muted;
+      if (t < 1) return;
+      clearInterval(fade);
+      outgoing.classList.add('standby');
+      releaseVideo(outgoing);
+      outgoing.volume = volume;
+      isCrossfading = false;
+      updateControlsUI();
+    }, 50);
+  }
+
+  // --- Drift correction ---
+  // Small drift is absorbed by playing slightly faster or slower for a while (pitch is preserved
+  // by the browser); only large drift is fixed with a seek, which shows as a cut.
+  const DRIFT_START_SECONDS = 0.3; // start nudging above this
+  const DRIFT_LOCK_SECONDS = 0.1; // stop nudging below this (hysteresis)
+  const DRIFT_SEEK_SECONDS = 10; // seek above this
+  const DRIFT_CORRECTION_SECONDS = 20; // rate is chosen to remove the drift over roughly this long
+  const MAX_RATE_NUDGE = 0.08; // never play more than 8% faster or slower
+  const syncStateEl = document.getElementById('syncState');
+  let driftState = { mode: 'idle', drift: 0 }; // mode: idle | locked | nudging | seeking | waiting
+
+  function setDriftState(mode, drift) {
+    driftState = { mode, drift };
+    if (!syncStateEl) return;
+    const signed = (drift >= 0 ? '+' : '') + drift.toFixed(2) + 's';
+    if (mode === 'locked') syncStateEl.textContent = signed;
+    else if (mode === 'nudging') syncStateEl.textContent = `${signed} (${video.playbackRate.toFixed(3)}×)`;
+    else if (mode === 'seeking') syncStateEl.textContent = `${signed} (seek)`;
+    else if (mode === 'waiting') syncStateEl.textContent = 'buffering';
+    else if (mode === 'preview') syncStateEl.textContent = 'preview';
+    else if (mode === 'saver') syncStateEl.textContent = 'data saver';
+    else syncStateEl.textContent = '-';
+  }
+
+  function correctDrift(partIndex, desired) {
+    // position is meaningless while seeking or before data is available
+    if (video.seeking || video.readyState < 2) {
+      setDriftState('waiting', driftState.drift);
+      return;
+    }
+    // same wrap as loadAndSeekTo when the file is shorter than its segment
+    if (video.duration && desired > video.duration) desired = desired % video.duration;
+
+    const drift = (video.currentTime || 0) - desired; // positive: video is ahead of the clock
+    const abs = Math.abs(drift);
+
+    if (abs > DRIFT_SEEK_SECONDS) {
+      video.playbackRate = 1;
       try {
         video.currentTime = desired;
       } catch (e) {
         // if not ready, attempt load/seek sequence
         loadAndSeekTo(partIndex, desired).catch(console.warn);
       }
+      setDriftState('seeking', drift);
+    } else if (abs > DRIFT_START_SECONDS || (driftState.mode === 'nudging' && abs > DRIFT_LOCK_SECONDS)) {
+      const nudge = Math.max(-MAX_RATE_NUDGE, Math.min(MAX_RATE_NUDGE, drift / DRIFT_CORRECTION_SECONDS));
+      video.playbackRate = 1 - nudge;
+      setDriftState('nudging', drift);
+    } else {
+      video.playbackRate = 1;
+      setDriftState('locked', drift);
+    }
+  }
+
+  // --- Data saver ---
+  // On metered or slow connections the part videos are never loaded. resyncOnce() shows stills or short
+  // looping clips mapped to time ranges instead (window.TIME_SYNC_STILLS or ?stills=: a URL, array or
+  // { stills: [{ src, type?, ...time range }] }), crossfading slowly between them. Without a stills file a
+  // time-of-day gradient stands in. The mode is 'auto' (follow navigator.connection), 'on' or 'off'.
+  const STILL_FADE_MS = 4000;
+  const stillsEl = document.getElementById('stills');
+  const dataSaverSelect = document.getElementById('dataSaverSelect');
+  let dataSaverMode = 'auto';
+  let stills = [];
+  let currentStill = null; // { key, layer }
+
+  // Gradient stand-ins when no stills are configured
+  const STILL_GRADIENTS = [
+    { until: 5, key: 'night', colors: ['#070a1c', '#24163f'] },
+    { until: 8, key: 'dawn', colors: ['#2c2350', '#d98f7a'] },
+    { until: 17, key: 'day', colors: ['#3d6f99', '#a9cfe3'] },
+    { until: 20, key: 'dusk', colors: ['#2a1f4d', '#c96a5a'] },
+    { until: 24, key: 'night', colors: ['#070a1c', '#24163f'] }
+  ];
+
+  function connectionIsConstrained() {
+    const c = navigator.connection;
+    if (!c) return false;
+    return !!c.saveData || ['slow-2g', '2g', '3g'].includes(c.effectiveType);
+  }
+
+  function dataSaverActive() {
+    return dataSaverMode === 'on' || (dataSaverMode === 'auto' && connectionIsConstrained());
+  }
+
+  async function loadStills() {
+    if (!window.TIME_SYNC_STILLS) return;
+    try {
+      const source = await loadJsonSource(window.TIME_SYNC_STILLS);
+      const entries = Array.isArray(source) ? source : (source && source.stills) || [];
+      stills = entries
+        .map(entry => {
+          const range = entry && typeof entry.src === 'string' ? resolveTimeRange(entry) : null;
+          return range && { ...range, src: entry.src, type: entry.type || '' };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+    } catch (err) {
+      console.warn('Failed to load stills', err);
+      showNotice('stillsWarning', '省流模式的静态画面加载失败，将使用渐变背景代替。');
+      stills = [];
+    }
+    // the current still may have been a gradient placeholder: forget its key so the next showStill
+    // replaces it, and keep the layer so that call fades it out
+    if (currentStill) currentStill.key = null;
+  }
+
+  function createStillLayer(still, secondsOfDay) {
+    let layer;
+    if (!still) {
+      const hour = secondsOfDay / 3600;
+      const { colors } = STILL_GRADIENTS.find(g => hour < g.until);
+      layer = document.createElement('div');
+      layer.style.background = `linear-gradient(160deg, ${colors[0]}, ${colors[1]})`;
+    } else if (still.type.startsWith('video') || /\.(mp4|webm)$/i.test(still.src)) {
+      layer = document.createElement('video');
+      layer.muted = true;
+      layer.loop = true;
+      layer.autoplay = true;
+      layer.playsInline = true;
+      layer.src = still.src;
+    } else {
+      layer = document.createElement('img');
+      layer.alt = '';
+      layer.src = still.src;
+    }
+    layer.className = 'still';
+    return layer;
+  }
+
+  function showStill(secondsOfDay) {
+    if (!stillsEl) return;
+    stillsEl.classList.add('active');
+    const still = findRange(stills, secondsOfDay);
+    const key = still
+      ? still.src
+      : 'gradient-' + STILL_GRADIENTS.find(g => secondsOfDay / 3600 < g.until).key;
+    if (currentStill && currentStill.key === key) return;
+
+    const layer = createStillLayer(still, secondsOfDay);
+    stillsEl.appendChild(layer);
+    // force a style flush so the opacity transition runs
+    void layer.offsetWidth;
+    layer.classList.add('visible');
+    const outgoing = currentStill && currentStill.layer;
+    if (outgoing) setTimeout(() => outgoing.remove(), STILL_FADE_MS);
+    currentStill = { key, layer };
+  }
+
+  // Drop the part videos (and anything buffered) when switching to stills
+  function enterDataSaver() {
+    if (!video.getAttribute('src') && !preloaded) return;
+    cancelPreload();
+    releaseVideo(video);
+    lastPartIndex = null;
+  }
+
+  function leaveDataSaver() {
+    if (!stillsEl || !stillsEl.classList.contains('active')) return;
+    stillsEl.classList.remove('active');
+    stillsEl.innerHTML = '';
+    currentStill = null;
+  }
+
+  if (dataSaverSelect) {
+    dataSaverSelect.addEventListener('change', () => {
+      dataSaverMode = dataSaverSelect.value;
+      saveSettings();
+      if (preview) loadPreview(previewPosition());
+      else resyncOnce();
+    });
+  }
+  if (navigator.connection && navigator.connection.addEventListener) {
+    navigator.connection.addEventListener('change', () => {
+      if (dataSaverMode === 'auto') resyncOnce();
+    });
+  }
+
+  function resyncOnce() {
+    const now = secondsOfDayByMode();
+    localTimeEl.textContent = formatTimeByMode();
+    // the watchdog reloads and re-seeks by itself once its backoff expires; previews ignore the clock
+    if (isCrossfading || recoveryTimer || preview) return;
+
+    const { partIndex, offset } = computePartAndOffsetAt(now);
+    const key = partIndexToKey(partIndex);
+    partNameEl.textContent = key ? key.toUpperCase() : '-';
+
+    if (dataSaverActive()) {
+      enterDataSaver();
+      showStill(Math.floor(now));
+      setDriftState('saver', 0);
+      updateControlsUI();
+      return;
+    }
+    leaveDataSaver();
+
+    // Gap in the schedule: nothing to show until the next segment starts
+    if (partIndex === -1) {
+      lastPartIndex = -1;
+      if (!video.paused) video.pause();
+      setDriftState('idle', 0);
+      updateControlsUI();
+      return;
+    }
+
+    const desired = offset;
+
+    // If part changed, load new source and seek
+    if (lastPartIndex === null || lastPartIndex !== partIndex) {
+      // boundary timer fired late (throttled tab): use the buffered layer if it is the right part
+      if (preloaded && preloaded.partIndex === partIndex && lastPartIndex !== null) {
+        swapToPreloaded();
+        return;
+      }
+      cancelPreload();
+      return loadAndSeekTo(partIndex, desired).catch(console.warn).finally(updateControlsUI);
     }
+
+    // Same part: check drift
+    correctDrift(partIndex, desired);
     // ensure playing
     if (video.paused) video.play().catch(() => {});
+    schedulePreload(now, partIndex, offset);
     updateControlsUI();
   }
 
@@ -412,79 +2373,630 @@
   updateControlsUI();
   // initial sync when script loads
 
-  // --- HEVC (H.265) 支持检测 ---
-  function browserSupportsHEVC() {
-    // Common HEVC codec strings
-    const types = [
-      'video/mp4; codecs="hvc1"',
-      'video/mp4; codecs="hev1"',
-      'video/mp4; codecs="hev1.1.6.L93.B0"',
-      'video/mp4; codecs="hvc1.1.L63.B0"'
-    ];
+  // Show a banner in the bottom-left notice stack. Banners with the same id are shown once.
+  function showNotice(id, message) {
+    if (document.getElementById(id)) return;
+    let stack = document.getElementById('appNotices');
+    if (!stack) {
+      stack = document.createElement('div');
+      stack.id = 'appNotices';
+      // insert into #app if present, otherwise body
+      const app = document.getElementById('app') || document.body;
+      app.appendChild(stack);
+      // clicking a notice must not toggle the overlay or unmute the video
+      stack.addEventListener('click', (e) => e.stopPropagation());
+    }
+    const container = document.createElement('div');
+    container.id = id;
+    container.className = 'app-notice';
+    const inner = document.createElement('div');
+    inner.className = 'hevc-inner';
+    const text = document.createElement('span');
+    text.textContent = message;
+    inner.appendChild(text);
+    container.appendChild(inner);
+    stack.appendChild(container);
+  }
 
-    // Prefer MediaSource.isTypeSupported when available
+  // --- Playback watchdog ---
+  // Errors, stalls and a frozen currentTime on the visible layer count as failures. Each failure marks
+  // the current URL (or, for decode errors, the whole encoding) as failed and reloads after a backoff,
+  // so playback moves to a mirror or the next encoding and re-seeks to the synced offset.
+  const STALL_TIMEOUT_MS = 15000; // no progress for this long while playing counts as a stall
+  const RETRY_BASE_MS = 1000;
+  const RETRY_MAX_MS = 60000;
+  let retryAttempts = 0;
+  let recoveryTimer = null;
+  let stallTimer = null;
+  let lastProgress = { time: 0, at: Date.now() };
+
+  function markProgress(el) {
+    lastProgress = { time: el.currentTime, at: Date.now() };
+  }
+
+  // Browsers raise SRC_NOT_SUPPORTED for a container or codec they can't play (often an untyped
+  // encoding), which no mirror or retry will fix any more than a decode error
+  function isUndecodable(el) {
+    return !!el.error && (el.error.code === MediaError.MEDIA_ERR_DECODE ||
+      el.error.code === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED);
+  }
+
+  function recoverPlayback(reason, el) {
+    if (recoveryTimer) return;
+    clearTimeout(stallTimer);
+    stallTimer = null;
+
+    const src = el.getAttribute('src');
+    const decodeError = isUndecodable(el);
+    if (src) {
+      failedSources.add(src);
+      if (decodeError) {
+        // mirrors serve the same bytes, so skip the whole encoding
+        const encoding = findEncodingByUrl(src);
+        if (encoding) undecodableEncodings.add(encoding.src);
+      }
+    }
+
+    // every URL of the segment failed: start a new round (the network may be back), keeping decode failures
+    const segment = schedule[lastPartIndex];
+    if (segment && !segmentSource(segment) && hasDecodableEncoding(segment)) failedSources.clear();
+
+    retryAttempts++;
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, retryAttempts - 1), RETRY_MAX_MS);
+    console.warn(`Video ${reason}: retry ${retryAttempts} in ${delay}ms`, src, el.error);
+    if (syncStateEl) syncStateEl.textContent = `recovering (${reason}, retry ${retryAttempts} in ${Math.round(delay / 1000)}s)`;
+
+    releaseVideo(el);
+    recoveryTimer = setTimeout(() => {
+      recoveryTimer = null;
+      markProgress(video);
+      lastPartIndex = null;
+      // reloads the next candidate and seeks to where the clock (or the preview) is now
+      if (preview) loadPreview(previewPosition());
+      else resyncOnce();
+    }, delay);
+  }
+
+  videoElements.forEach(el => {
+    el.addEventListener('error', () => {
+      if (!el.getAttribute('src')) return;
+      if (el === standbyVideo) {
+        // preload failed: skip this URL; the next resync buffers the next candidate
+        console.warn('Preload failed, trying the next source:', el.getAttribute('src'), el.error);
+        failedSources.add(el.getAttribute('src'));
+        if (isUndecodable(el)) {
+          const encoding = findEncodingByUrl(el.getAttribute('src'));
+          if (encoding) undecodableEncodings.add(encoding.src);
+        }
+        cancelPreload();
+        return;
+      }
+      recoverPlayback('error', el);
+    });
+
+    // `stalled`/`waiting` are only hints: give the network a while before treating them as a failure
+    ['stalled', 'waiting'].forEach(type => el.addEventListener(type, () => {
+      if (el !== video || stallTimer || recoveryTimer) return;
+      const since = lastProgress.at;
+      stallTimer = setTimeout(() => {
+        stallTimer = null;
+        if (el === video && lastProgress.at === since && !el.paused) recoverPlayback(type, el);
+      }, STALL_TIMEOUT_MS);
+    }));
+
+    el.addEventListener('timeupdate', () => {
+      if (el !== video || el.currentTime === lastProgress.time) return;
+      markProgress(el);
+      // playing again: the next failure starts from the shortest backoff
+      retryAttempts = 0;
+    });
+  });
+
+  // Catch playback that is frozen without any event
+  setInterval(() => {
+    if (recoveryTimer || isCrossfading || video.paused || !video.getAttribute('src')) return;
+    if (Date.now() - lastProgress.at > STALL_TIMEOUT_MS) recoverPlayback('frozen', video);
+  }, 5000);
+
+  // --- Day timeline preview ---
+  // Dragging the timeline previews any moment of the 24h cycle. The live resync loop is suspended
+  // while previewing and restarted by "return to live". The slider counts seconds from the start of
+  // the first segment, so the classic layout runs 25:00 -> 25:00.
+  const timelineEl = document.getElementById('timeline');
+  const timelineSlider = document.getElementById('timelineSlider');
+  const timelineLabel = document.getElementById('timelineLabel');
+  const timelineLiveBtn = document.getElementById('timelineLiveBtn');
+  let resyncTimer = null;
+  let preview = null; // { seconds, at }: previewed second of day and when (Date.now()) it was loaded
+  let previewLoadTimer = null;
+
+  function startLiveSync() {
+    clearInterval(resyncTimer);
+    // resync every 5 seconds to correct drift and to handle boundary changes
+    resyncTimer = setInterval(resyncOnce, 5000);
+  }
+
+  function cycleOrigin() {
+    return schedule.length ? schedule[0].start : 0;
+  }
+
+  // The previewed moment keeps moving while the preview plays
+  function previewPosition() {
+    return (preview.seconds + (Date.now() - preview.at) / 1000) % DAY_SECONDS;
+  }
+
+  function updateTimeline(secondsOfDay) {
+    if (!timelineSlider) return;
+    const seconds = preview
+      ? previewPosition()
+      : Math.floor(secondsOfDay);
+    // don't fight the user's thumb while dragging
+    if (document.activeElement !== timelineSlider) {
+      timelineSlider.value = String(Math.floor(((seconds - cycleOrigin()) % DAY_SECONDS + DAY_SECONDS) % DAY_SECONDS));
+    }
+    if (timelineLabel) timelineLabel.textContent = (preview ? '预览 ' : '') + formatClockValue(Math.floor(seconds / 60) * 60);
+  }
+
+  function loadPreview(secondsOfDay) {
+    preview = { seconds: secondsOfDay, at: Date.now() };
+    const { partIndex, offset } = computePartAndOffsetAt(secondsOfDay);
+    const key = partIndexToKey(partIndex);
+    partNameEl.textContent = key ? key.toUpperCase() : '-';
+    if (dataSaverActive()) {
+      enterDataSaver();
+      showStill(secondsOfDay);
+      return;
+    }
+    leaveDataSaver();
+    if (partIndex === -1) {
+      lastPartIndex = -1;
+      if (!video.paused) video.pause();
+      return;
+    }
+    video.playbackRate = 1;
+    loadAndSeekTo(partIndex, offset)
+      .then(() => {
+        if (video.paused) video.play().catch(() => {});
+      })
+      .catch(console.warn);
+    lastPartIndex = partIndex;
+  }
+
+  function enterPreview() {
+    if (preview) return;
+    clearInterval(resyncTimer);
+    resyncTimer = null;
+    cancelPreload();
+    setDriftState('preview', 0);
+    if (timelineEl) timelineEl.classList.add('previewing');
+    if (timelineLiveBtn) timelineLiveBtn.classList.remove('hidden');
+  }
+
+  function returnToLive() {
+    if (!preview) return;
+    clearTimeout(previewLoadTimer);
+    preview = null;
+    if (timelineEl) timelineEl.classList.remove('previewing');
+    if (timelineLiveBtn) timelineLiveBtn.classList.add('hidden');
+    startLiveSync();
+    resyncOnce();
+    updateTimeline(secondsOfDayByMode());
+  }
+
+  if (timelineSlider) {
+    const sliderSeconds = () => (cycleOrigin() + parseInt(timelineSlider.value)) % DAY_SECONDS;
+    timelineSlider.addEventListener('input', () => {
+      enterPreview();
+      preview = { seconds: sliderSeconds(), at: Date.now() };
+      if (timelineLabel) timelineLabel.textContent = '预览 ' + formatClockValue(sliderSeconds());
+      // loading on every input event would thrash the network while dragging
+      clearTimeout(previewLoadTimer);
+      previewLoadTimer = setTimeout(() => loadPreview(sliderSeconds()), 250);
+    });
+    timelineSlider.addEventListener('change', () => {
+      clearTimeout(previewLoadTimer);
+      loadPreview(sliderSeconds());
+      timelineSlider.blur();
+    });
+  }
+  if (timelineLiveBtn) {
+    timelineLiveBtn.addEventListener('click', returnToLive);
+  }
+
+  // --- Scene annotations ---
+  // An optional scene file (window.TIME_SYNC_SCENES: URL, array or { scenes: [...] }) labels stretches
+  // of the cycle. Each scene has a title, optional characters and description, and a time range
+  // (see resolveTimeRange). Scenes follow the same wall clock as the part lookup, so they work in every
+  // timezone mode and while previewing. Chosen scenes fire a notification when they start during live playback.
+  const SCENE_NOTIFY_KEY = 'sceneNotifications';
+  const sceneInfoEl = document.getElementById('sceneInfo');
+  const sceneNameEl = document.getElementById('sceneName');
+  const sceneBtn = document.getElementById('sceneBtn');
+  const scenePanel = document.getElementById('scenePanel');
+  const sceneCloseBtn = document.getElementById('sceneCloseBtn');
+  const sceneListEl = document.getElementById('sceneList');
+  let scenes = [];
+  let sceneNotifyIds = new Set();
+  let currentSceneId = null;
+  let lastLiveSceneId; // undefined until the first live tick, so a page load never notifies
+
+  try {
+    sceneNotifyIds = new Set(JSON.parse(localStorage.getItem(SCENE_NOTIFY_KEY) || '[]'));
+  } catch (e) {
+    console.warn('Failed to load scene notifications', e);
+  }
+
+  // Resolve a scene entry to seconds of day, or null if it can't be placed
+  function resolveScene(entry) {
+    if (!entry || typeof entry !== 'object' || !entry.title) return null;
+    const range = resolveTimeRange(entry);
+    if (!range) return null;
+    return {
+      id: String(entry.id || `${entry.title}@${formatClockValue(range.start)}`),
+      start: range.start,
+      end: range.end,
+      title: String(entry.title),
+      characters: Array.isArray(entry.characters) ? entry.characters.map(String) : [],
+      description: entry.description ? String(entry.description) : ''
+    };
+  }
+
+  async function loadScenes() {
+    if (!window.TIME_SYNC_SCENES) return;
     try {
-      if (window.MediaSource && typeof MediaSource.isTypeSupported === 'function') {
-        for (const t of types) {
-          try {
-            if (MediaSource.isTypeSupported(t)) return true;
-          } catch (e) {
-            // ignore individual errors
+      const source = await loadJsonSource(window.TIME_SYNC_SCENES);
+      const entries = Array.isArray(source) ? source : (source && source.scenes) || [];
+      const resolved = entries.map(resolveScene);
+      scenes = resolved.filter(Boolean).sort((a, b) => a.start - b.start);
+      const skipped = resolved.length - scenes.length;
+      if (skipped) showNotice('sceneWarning', `场景文件中有 ${skipped} 个条目无法解析，已忽略。`);
+    } catch (err) {
+      console.warn('Failed to load scenes', err);
+      showNotice('sceneWarning', '场景文件加载失败，场景信息不会显示。');
+      scenes = [];
+    }
+    if (sceneInfoEl) sceneInfoEl.classList.toggle('hidden', scenes.length === 0);
+    if (sceneBtn) sceneBtn.classList.toggle('hidden', scenes.length === 0);
+    renderSceneList();
+  }
+
+  function sceneDetail(scene) {
+    return [scene.characters.join('、'), scene.description].filter(Boolean).join(' — ');
+  }
+
+  function notifySceneStart(scene) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+      new Notification(`${scene.title} 开始了`, { body: sceneDetail(scene), tag: 'scene-' + scene.id });
+    } catch (e) {
+      console.warn('Notification error:', e);
+    }
+  }
+
+  function updateScene(secondsOfDay) {
+    if (!scenes.length) return;
+    const seconds = preview
+      ? previewPosition()
+      : Math.floor(secondsOfDay);
+    const scene = findRange(scenes, seconds);
+    const id = scene ? scene.id : null;
+    if (!preview) {
+      if (lastLiveSceneId !== undefined && id !== lastLiveSceneId && scene && sceneNotifyIds.has(id)) {
+        notifySceneStart(scene);
+      }
+      lastLiveSceneId = id;
+    }
+    if (id === currentSceneId) return;
+    currentSceneId = id;
+    if (sceneNameEl) {
+      sceneNameEl.textContent = scene ? scene.title : '-';
+      sceneNameEl.title = scene ? sceneDetail(scene) : '';
+    }
+    if (sceneListEl) {
+      sceneListEl.querySelectorAll('.scene-item').forEach(item => {
+        item.classList.toggle('current', item.dataset.id === id);
+      });
+    }
+  }
+
+  function setSceneNotify(id, enabled) {
+    if (enabled) sceneNotifyIds.add(id);
+    else sceneNotifyIds.delete(id);
+    try {
+      localStorage.setItem(SCENE_NOTIFY_KEY, JSON.stringify([...sceneNotifyIds]));
+    } catch (e) {
+      console.warn('Failed to save scene notifications', e);
+    }
+    if (!enabled || !('Notification' in window)) return;
+    if (Notification.permission === 'default') {
+      Notification.requestPermission().then(permission => {
+        if (permission === 'denied') showNotice('sceneNotifyDenied', '浏览器已阻止通知，场景提醒不会弹出。');
+      });
+    } else if (Notification.permission === 'denied') {
+      showNotice('sceneNotifyDenied', '浏览器已阻止通知，场景提醒不会弹出。');
+    }
+  }
+
+  function renderSceneList() {
+    if (!sceneListEl) return;
+    sceneListEl.innerHTML = '';
+    scenes.forEach(scene => {
+      const item = document.createElement('div');
+      item.className = 'scene-item';
+      item.dataset.id = scene.id;
+      if (scene.id === currentSceneId) item.classList.add('current');
+
+      const main = document.createElement('button');
+      main.className = 'scene-main';
+      main.title = '预览此场景';
+      const time = document.createElement('span');
+      time.className = 'scene-time';
+      time.textContent = `${formatClockValue(scene.start)}–${formatClockValue(scene.end)}`;
+      const title = document.createElement('span');
+      title.className = 'scene-title';
+      title.textContent = scene.title;
+      const detail = document.createElement('span');
+      detail.className = 'scene-detail';
+      detail.textContent = sceneDetail(scene);
+      main.append(time, title, detail);
+      main.addEventListener('click', () => {
+        enterPreview();
+        loadPreview(scene.start);
+        updateTimeline(secondsOfDayByMode());
+      });
+
+      const bell = document.createElement('label');
+      bell.className = 'scene-notify';
+      bell.title = '场景开始时通知我';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = sceneNotifyIds.has(scene.id);
+      check.addEventListener('change', () => setSceneNotify(scene.id, check.checked));
+      bell.append(check, document.createTextNode('🔔'));
+
+      item.append(main, bell);
+      sceneListEl.appendChild(item);
+    });
+  }
+
+  if (sceneBtn && scenePanel) {
+    sceneBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      scenePanel.classList.toggle('hidden');
+    });
+    if (sceneCloseBtn) sceneCloseBtn.addEventListener('click', () => scenePanel.classList.add('hidden'));
+    scenePanel.addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  // --- Offline storage ---
+  // sw.js serves JSON data stale-while-revalidate and answers media requests from MEDIA_CACHE
+  // (slicing Range requests), so pinning is just putting the full file into that cache from here.
+  // Labels travel with the cached response in an X-Pinned-Label header.
+  const MEDIA_CACHE = 'nightcord-media-v1';
+  const DATA_CACHE = 'nightcord-data-v1';
+  const storageBtn = document.getElementById('storageBtn');
+  const storagePanel = document.getElementById('storagePanel');
+  const storageCloseBtn = document.getElementById('storageCloseBtn');
+  const storageUsageEl = document.getElementById('storageUsage');
+  const storagePartsEl = document.getElementById('storageParts');
+  const storageTrackEl = document.getElementById('storageTrack');
+  const storageCachedEl = document.getElementById('storageCached');
+  const storageClearDataBtn = document.getElementById('storageClearDataBtn');
+  const pinJobs = new Map(); // url -> { controller, loaded, total }
+  let currentTrack = null; // last cdplayer:trackchange detail
+
+  // Offline support needs http(s); file:// pages simply skip it
+  if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+    navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed', err));
+  }
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0)} ${units[i]}`;
+  }
+
+  async function loadPinnedUrls() {
+    if (!('caches' in window)) return;
+    const cache = await caches.open(MEDIA_CACHE);
+    (await cache.keys()).forEach(req => pinnedUrls.add(req.url));
+  }
+
+  async function pinMedia(url, label) {
+    if (pinJobs.has(url) || pinnedUrls.has(url)) return;
+    const job = { controller: new AbortController(), loaded: 0, total: 0 };
+    pinJobs.set(url, job);
+    renderStoragePanel();
+    // ask once for storage that the browser won't evict under pressure
+    if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+    try {
+      const res = await fetch(url, { mode: 'cors', signal: job.controller.signal });
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      job.total = parseInt(res.headers.get('Content-Length')) || 0;
+      let lastRender = 0;
+      const counter = new TransformStream({
+        transform(chunk, controller) {
+          job.loaded += chunk.byteLength;
+          if (Date.now() - lastRender > 500) {
+            lastRender = Date.now();
+            renderStoragePanel();
           }
+          controller.enqueue(chunk);
         }
+      });
+      const headers = new Headers(res.headers);
+      headers.set('X-Pinned-Label', encodeURIComponent(label));
+      const cache = await caches.open(MEDIA_CACHE);
+      await cache.put(url, new Response(res.body.pipeThrough(counter), { headers }));
+      pinnedUrls.add(url);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.warn('Failed to pin', url, err);
+        showNotice('storageWarning', `“${label}” 缓存失败，可能是网络中断或存储空间不足。`);
       }
-    } catch (e) {}
+    } finally {
+      pinJobs.delete(url);
+      renderStoragePanel();
+    }
+  }
 
-    // Fallback: use video.canPlayType
-    try {
-      for (const t of types) {
-        const r = video.canPlayType(t);
-        if (r === 'probably' || r === 'maybe') return true;
+  async function evictMedia(url) {
+    const job = pinJobs.get(url);
+    if (job) job.controller.abort();
+    const cache = await caches.open(MEDIA_CACHE);
+    await cache.delete(url);
+    pinnedUrls.delete(url);
+    renderStoragePanel();
+  }
+
+  function segmentPinnedUrl(segment) {
+    for (const encoding of segment.encodings) {
+      const url = encodingCandidates(encoding).find(u => pinnedUrls.has(u));
+      if (url) return url;
+    }
+    return null;
+  }
+
+  function storageButton(text, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'storage-action';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function storageRow(label, info, action) {
+    const row = document.createElement('div');
+    row.className = 'storage-row';
+    const name = document.createElement('span');
+    name.className = 'storage-name';
+    name.textContent = label;
+    name.title = label;
+    const meta = document.createElement('span');
+    meta.className = 'storage-meta';
+    meta.textContent = info;
+    row.append(name, meta);
+    if (action) row.appendChild(action);
+    return row;
+  }
+
+  function jobProgress(url) {
+    const job = pinJobs.get(url);
+    if (!job) return null;
+    return job.total ? `${Math.floor(job.loaded / job.total * 100)}%` : formatBytes(job.loaded);
+  }
+
+  // Pin (or evict) a URL, showing download progress while it runs
+  function pinAction(url, label) {
+    if (pinJobs.has(url)) return storageButton(`取消 ${jobProgress(url)}`, () => evictMedia(url));
+    if (pinnedUrls.has(url)) return storageButton('移除', () => evictMedia(url));
+    return storageButton('固定', () => pinMedia(url, label));
+  }
+
+  async function renderStoragePanel() {
+    if (!storagePanel || storagePanel.classList.contains('hidden')) return;
+
+    if (storagePartsEl) {
+      storagePartsEl.innerHTML = '';
+      schedule.forEach(segment => {
+        const label = `视频 ${segment.key.toUpperCase()}`;
+        const url = segmentPinnedUrl(segment) || segmentSource(segment);
+        const range = `${formatClockValue(segment.start)}–${formatClockValue(segment.start + segment.duration)}`;
+        if (url) storagePartsEl.appendChild(storageRow(label, range, pinAction(url, label)));
+      });
+    }
+
+    if (storageTrackEl) {
+      storageTrackEl.innerHTML = '';
+      if (!currentTrack) {
+        storageTrackEl.appendChild(storageRow('未播放歌曲', ''));
+      } else if (!currentTrack.audioUrl) {
+        storageTrackEl.appendChild(storageRow(currentTrack.title, '本地音乐，无需缓存'));
+      } else {
+        const { title, audioUrl, coverUrl } = currentTrack;
+        const pinned = pinnedUrls.has(audioUrl);
+        const action = pinJobs.has(audioUrl) || pinned
+          ? pinAction(audioUrl, title)
+          : storageButton('固定', () => {
+            pinMedia(audioUrl, title);
+            if (coverUrl) pinMedia(coverUrl, `${title}（封面）`);
+          });
+        storageTrackEl.appendChild(storageRow(title, pinned ? '已缓存' : '', action));
       }
-    } catch (e) {}
+    }
+
+    if (storageCachedEl) {
+      const cache = await caches.open(MEDIA_CACHE);
+      const entries = await Promise.all((await cache.keys()).map(async req => {
+        const res = await cache.match(req);
+        const label = res && res.headers.get('X-Pinned-Label');
+        return {
+          url: req.url,
+          label: label ? decodeURIComponent(label) : req.url.split('/').pop(),
+          size: res ? parseInt(res.headers.get('Content-Length')) || 0 : 0
+        };
+      }));
+      storageCachedEl.innerHTML = '';
+      if (!entries.length) storageCachedEl.appendChild(storageRow('暂无离线内容', ''));
+      entries.forEach(entry => {
+        storageCachedEl.appendChild(storageRow(entry.label, formatBytes(entry.size), storageButton('移除', () => evictMedia(entry.url))));
+      });
+    }
 
-    return false;
+    if (storageUsageEl && navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      storageUsageEl.textContent = `已用 ${formatBytes(usage)} / 可用 ${formatBytes(quota)}`;
+    }
   }
 
-  function showHEVCWarning() {
-    // create a dismissible banner near the top of the app
-    const existing = document.getElementById('hevcWarning');
-    if (existing) return;
-    const container = document.createElement('div');
-    container.id = 'hevcWarning';
-    container.className = 'hevc-warning';
-    container.innerHTML = `
-      <div class="hevc-inner">
-        <span>检测到您的浏览器可能不支持 H.265 / HEVC 编码，播放可能失败。</span>
-      </div>
-    `;
-    // insert into #app if present, otherwise body
-    const app = document.getElementById('app') || document.body;
-    app.appendChild(container);
-    // clicking the warning must not toggle the overlay or unmute the video
-    container.addEventListener('click', (e) => e.stopPropagation());
-  }
-
-  // Run detection and show message if unsupported
-  try {
-    if (!browserSupportsHEVC()) {
-      // Delay slightly to avoid layout flash while other inits run
-      setTimeout(showHEVCWarning, 80);
+  if (!('caches' in window)) {
+    if (storageBtn) storageBtn.classList.add('hidden');
+  } else if (storageBtn && storagePanel) {
+    storageBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      storagePanel.classList.toggle('hidden');
+      renderStoragePanel();
+    });
+    if (storageCloseBtn) storageCloseBtn.addEventListener('click', () => storagePanel.classList.add('hidden'));
+    storagePanel.addEventListener('click', (e) => e.stopPropagation());
+    if (storageClearDataBtn) {
+      storageClearDataBtn.addEventListener('click', () => {
+        caches.delete(DATA_CACHE).then(renderStoragePanel);
+      });
     }
-  } catch (e) {
-    // safe fallback: don't block the app
-    console.warn('HEVC detection error', e);
+    loadPinnedUrls().catch(err => console.warn('Failed to read offline cache', err));
   }
 
-  resyncOnce();
+  // The CD player announces the loaded track so it can be pinned from here
+  document.addEventListener('cdplayer:trackchange', (e) => {
+    currentTrack = e.detail;
+    renderStoragePanel();
+  });
+
+  loadSchedule().then(() => {
+    resyncOnce();
+    startLiveSync();
+    // scenes and stills may be keyed to segments, so they are resolved once the schedule is known
+    loadScenes();
+    loadStills().then(() => {
+      if (dataSaverActive()) resyncOnce();
+    });
 
-  // resync every 5 seconds to correct drift and to handle boundary changes
-  setInterval(resyncOnce, 5000);
+    // measure the clock offset now and periodically; jump straight to the corrected position
+    const recalibrate = () => calibrateClock().then(changed => {
+      if (changed) resyncOnce();
+    });
+    recalibrate();
+    if (clockConfig) setInterval(recalibrate, clockConfig.intervalMinutes * 60000);
+  });
 
   // update clock display every second (respecting timezone mode)
   setInterval(() => {
-    const now = getNowByMode();
-    localTimeEl.textContent = formatTime(now);
+    const now = secondsOfDayByMode();
+    localTimeEl.textContent = formatTimeByMode();
+    updateTimeline(now);
+    updateScene(now);
   }, 1000);
 
   // Click behavior: toggle overlay visibility and unmute on first user gesture.
@@ -501,7 +3013,7 @@
   }
 
   // Video click: unmute on first interaction if muted, then toggle overlay
-  video.addEventListener('click', (e) => {
+  videoElements.forEach(el => el.addEventListener('click', (e) => {
     // first user gesture: attempt to unmute if currently muted
     if (firstUserClick) {
       if (video.muted) {
@@ -516,7 +3028,7 @@
     }
     // toggle overlay visibility
     toggleOverlay();
-  });
+  }));
 
   // Prevent clicks inside overlay (controls area) from bubbling to the video
   if (overlay) {
@@ -533,166 +3045,1054 @@
     // don't intercept when typing into inputs/selects/textareas
     if (tag === 'input' || tag === 'textarea' || tag === 'select' || (active && active.isContentEditable)) return;
 
-    const k = (e.key || '').toLowerCase();
-    if (k === 'm') {
-      e.preventDefault();
-      if (muteBtn) muteBtn.click();
-      return;
+    const k = (e.key || '').toLowerCase();
+    if (k === 'm') {
+      e.preventDefault();
+      if (muteBtn) muteBtn.click();
+      return;
+    }
+    if (k === 'f') {
+      e.preventDefault();
+      if (fullscreenBtn) fullscreenBtn.click();
+      return;
+    }
+  });
+
+  // --- Pomodoro Timer Logic ---
+  (() => {
+    const pomodoroBtn = document.getElementById('pomodoroBtn');
+    const pomodoroPanel = document.getElementById('pomodoroPanel');
+    const pomodoroCloseBtn = document.getElementById('pomodoroCloseBtn');
+    const toggleClockWidgetBtn = document.getElementById('toggleClockWidget');
+    const worldClockSection = document.getElementById('worldClockSection');
+    const pomodoroDisplay = document.getElementById('pomodoroDisplay');
+    const pomodoroStatus = document.querySelector('.pomodoro-status');
+    const startBtn = document.getElementById('pomodoroStartBtn');
+    const pauseBtn = document.getElementById('pomodoroPauseBtn');
+    const resetBtn = document.getElementById('pomodoroResetBtn');
+    const workDurationInput = document.getElementById('workDuration');
+    const shortBreakInput = document.getElementById('shortBreak');
+    const longBreakInput = document.getElementById('longBreak');
+    const roundsInput = document.getElementById('roundsBeforeLong');
+    const autoStartBreaksInput = document.getElementById('autoStartBreaks');
+    const autoStartWorkInput = document.getElementById('autoStartWork');
+    const sequenceInput = document.getElementById('customSequence');
+    const presetSelect = document.getElementById('pomodoroPresetSelect');
+    const cueStyleSelect = document.getElementById('cueStyleSelect');
+    const cuePreviewBtn = document.getElementById('cuePreviewBtn');
+    const cueVolumeInput = document.getElementById('cueVolume');
+    const tickingToggle = document.getElementById('tickingToggle');
+    const tickVolumeInput = document.getElementById('tickVolume');
+    const pomodoroRound = document.getElementById('pomodoroRound');
+    const resumePrompt = document.getElementById('pomodoroResume');
+    const resumeText = document.getElementById('pomodoroResumeText');
+    const resumeBtn = document.getElementById('pomodoroResumeBtn');
+    const discardBtn = document.getElementById('pomodoroDiscardBtn');
+    const statsBtn = document.getElementById('pomodoroStatsBtn');
+    const statsFromInput = document.getElementById('statsFrom');
+    const statsToInput = document.getElementById('statsTo');
+    const statsTodayEl = document.getElementById('statsToday');
+    const statsTotalEl = document.getElementById('statsTotal');
+    const statsRateEl = document.getElementById('statsRate');
+    const statsStreakEl = document.getElementById('statsStreak');
+    const statsDailyCanvas = document.getElementById('statsDailyChart');
+    const statsWeeklyCanvas = document.getElementById('statsWeeklyChart');
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
+    const exportIcsBtn = document.getElementById('exportIcsBtn');
+    const exportBackupBtn = document.getElementById('exportBackupBtn');
+    const importBackupBtn = document.getElementById('importBackupBtn');
+    const statsExportStatus = document.getElementById('statsExportStatus');
+    const taskListEl = document.getElementById('taskList');
+    const taskSummaryEl = document.getElementById('taskSummary');
+    const taskForm = document.getElementById('taskForm');
+    const taskTitleInput = document.getElementById('taskTitleInput');
+    const taskEstimateInput = document.getElementById('taskEstimateInput');
+    const activeTaskEl = document.getElementById('pomodoroTask');
+
+    // World Clock elements - Time.is style
+    const localHoursEl = document.getElementById('localHours');
+    const localMinutesEl = document.getElementById('localMinutes');
+    const localSecondsEl = document.getElementById('localSeconds');
+    const localMillisecondsEl = document.getElementById('localMilliseconds');
+    const localDateEl = document.getElementById('localDate');
+
+    // Configurable World Clocks
+    const clockSelects = [
+      document.getElementById('clock1Select'),
+      document.getElementById('clock2Select'),
+      document.getElementById('clock3Select')
+    ];
+
+    const clockTimeEls = [
+      document.getElementById('clock1Time'),
+      document.getElementById('clock2Time'),
+      document.getElementById('clock3Time')
+    ];
+
+    // Default selections
+    let selectedTimeZones = ['Asia/Tokyo', 'America/New_York', 'Europe/London'];
+
+    // Load saved timezones
+    try {
+      const saved = localStorage.getItem('worldClockTimeZones');
+      if (saved) {
+        selectedTimeZones = JSON.parse(saved);
+      }
+    } catch (e) {}
+
+    // Initialize selects
+    clockSelects.forEach((select, index) => {
+      if (!select) return;
+
+      // Populate options
+      AVAILABLE_TIMEZONES.forEach(tz => {
+        const option = document.createElement('option');
+        option.value = tz.zone;
+        option.textContent = tz.label;
+        select.appendChild(option);
+      });
+
+      // Set selected value
+      if (selectedTimeZones[index]) {
+        select.value = selectedTimeZones[index];
+      }
+
+      // Add change listener
+      select.addEventListener('change', (e) => {
+        selectedTimeZones[index] = e.target.value;
+        localStorage.setItem('worldClockTimeZones', JSON.stringify(selectedTimeZones));
+        updateWorldClocks();
+      });
+    });
+
+    if (!pomodoroBtn || !pomodoroPanel) return;
+
+    let timer = null;
+    let remainingSeconds = 25 * 60;
+    let isRunning = false;
+    let phaseEndsAt = null; // clockNow() timestamp at which the running phase ends
+    let phaseStartedAt = null; // when the current phase was first started, for the history
+    let phasePlanned = 25 * 60; // planned length of the current phase in seconds
+    let phaseRunMs = 0; // time the current phase has run before the current run, excluding pauses
+    let runSince = null; // clockNow() timestamp at which the current run began
+    let currentMode = 'work'; // 'work', 'short-break', 'long-break'
+    let workRounds = 0;
+    let maxRounds = 4;
+    let clockWidgetVisible = false;
+    let mirroring = false; // this tab follows another tab's timer (see tabSync)
+    let phaseExtended = false; // the running work phase is a "+5 min" extension, not a new pomodoro
+    let lastCompletion = null; // { mode, endedAt } of the phase the latest notification is about
+
+    const MODE_LABELS = { 'work': '工作时间', 'short-break': '短休息', 'long-break': '长休息' };
+
+    // --- Cycle settings ---
+    // A cycle is a list of phases ({ mode, minutes }) built from the three durations and the number of rounds
+    // before the long break, or from a custom sequence such as "50/10×3, 30": "W/B" is a work phase followed
+    // by a short break, "×N" repeats it, and a lone number is a long break replacing the short break before it.
+    const CYCLE_SETTINGS_KEY = 'pomodoroSettings';
+    const POMODORO_PRESETS = {
+      'classic': { label: '经典 25/5', work: 25, shortBreak: 5, longBreak: 15, rounds: 4 },
+      '52-17': { label: '52/17', work: 52, shortBreak: 17, longBreak: 17, rounds: 4 },
+      'deep-work': { label: '90 分钟深度工作', work: 90, shortBreak: 20, longBreak: 30, rounds: 2 }
+    };
+    const LATE_COMPLETION_MS = 2 * 60 * 1000; // a phase that ended longer ago than this is caught up quietly
+    const cycleSettings = {
+      work: 25,
+      shortBreak: 5,
+      longBreak: 15,
+      rounds: 4,
+      autoStartBreaks: false,
+      autoStartWork: false,
+      sequence: ''
+    };
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(CYCLE_SETTINGS_KEY) || 'null');
+      if (saved) readCycleSettings(saved);
+    } catch (e) {}
+
+    function clampInt(value, min, max, fallback) {
+      const n = parseInt(value);
+      return isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    }
+
+    function readCycleSettings(source) {
+      cycleSettings.work = clampInt(source.work, 1, 180, cycleSettings.work);
+      cycleSettings.shortBreak = clampInt(source.shortBreak, 1, 60, cycleSettings.shortBreak);
+      cycleSettings.longBreak = clampInt(source.longBreak, 1, 120, cycleSettings.longBreak);
+      cycleSettings.rounds = clampInt(source.rounds, 1, 12, cycleSettings.rounds);
+      cycleSettings.autoStartBreaks = !!source.autoStartBreaks;
+      cycleSettings.autoStartWork = !!source.autoStartWork;
+      cycleSettings.sequence = typeof source.sequence === 'string' ? source.sequence.trim() : '';
+    }
+
+    function saveCycleSettings() {
+      try {
+        localStorage.setItem(CYCLE_SETTINGS_KEY, JSON.stringify(cycleSettings));
+      } catch (e) {
+        console.warn('Failed to save pomodoro settings:', e);
+      }
+    }
+
+    // Phases of a custom sequence, or null if it doesn't parse
+    function parseSequence(text) {
+      const phases = [];
+      for (const part of text.split(/[,，;；]/)) {
+        const item = part.trim();
+        if (!item) continue;
+        let match = /^(\d+)\s*\/\s*(\d+)\s*(?:[×xX*]\s*(\d+))?$/.exec(item);
+        if (match) {
+          const repeat = match[3] ? parseInt(match[3]) : 1;
+          if (repeat < 1 || repeat > 20) return null;
+          for (let i = 0; i < repeat; i++) {
+            phases.push({ mode: 'work', minutes: parseInt(match[1]) });
+            phases.push({ mode: 'short-break', minutes: parseInt(match[2]) });
+          }
+          continue;
+        }
+        match = /^(\d+)$/.exec(item);
+        if (!match) return null;
+        if (phases.length && phases[phases.length - 1].mode === 'short-break') phases.pop();
+        phases.push({ mode: 'long-break', minutes: parseInt(match[1]) });
+      }
+      if (!phases.some(p => p.mode === 'work') || phases.some(p => p.minutes < 1 || p.minutes > 240)) return null;
+      return phases;
+    }
+
+    function buildCycle() {
+      const custom = cycleSettings.sequence ? parseSequence(cycleSettings.sequence) : null;
+      if (custom) return custom;
+      const phases = [];
+      for (let i = 0; i < cycleSettings.rounds; i++) {
+        phases.push({ mode: 'work', minutes: cycleSettings.work });
+        phases.push(i === cycleSettings.rounds - 1
+          ? { mode: 'long-break', minutes: cycleSettings.longBreak }
+          : { mode: 'short-break', minutes: cycleSettings.shortBreak });
+      }
+      return phases;
+    }
+
+    let cycle = buildCycle();
+    let phaseIndex = 0; // position of the current phase in the cycle
+    maxRounds = cycle.filter(p => p.mode === 'work').length;
+
+    function phaseSeconds(index) {
+      return cycle[index].minutes * 60;
+    }
+
+    function autoStarts(mode) {
+      return mode === 'work' ? cycleSettings.autoStartWork : cycleSettings.autoStartBreaks;
+    }
+
+    function matchingPreset() {
+      if (cycleSettings.sequence) return null;
+      return Object.keys(POMODORO_PRESETS).find(id => {
+        const preset = POMODORO_PRESETS[id];
+        return ['work', 'shortBreak', 'longBreak', 'rounds'].every(key => preset[key] === cycleSettings[key]);
+      }) || null;
+    }
+
+    function renderCycleSettings() {
+      workDurationInput.value = cycleSettings.work;
+      shortBreakInput.value = cycleSettings.shortBreak;
+      longBreakInput.value = cycleSettings.longBreak;
+      roundsInput.value = cycleSettings.rounds;
+      autoStartBreaksInput.checked = cycleSettings.autoStartBreaks;
+      autoStartWorkInput.checked = cycleSettings.autoStartWork;
+      sequenceInput.value = cycleSettings.sequence;
+      sequenceInput.classList.toggle('invalid', !!cycleSettings.sequence && !parseSequence(cycleSettings.sequence));
+      presetSelect.value = matchingPreset() || 'custom';
+    }
+
+    // Rebuild the cycle. A running phase finishes as planned; a stopped one follows the new settings
+    // unless they leave its length unchanged.
+    function applyCycleSettings() {
+      saveCycleSettings();
+      renderCycleSettings();
+      cycle = buildCycle();
+      maxRounds = cycle.filter(p => p.mode === 'work').length;
+      if (mirroring) {
+        // The leading tab picks the change up from storage and broadcasts the resulting state
+        updateDisplay();
+        return;
+      }
+      workRounds = Math.min(workRounds, maxRounds);
+      phaseIndex = Math.min(phaseIndex, cycle.length - 1);
+      if (!isRunning) {
+        const seconds = phaseSeconds(phaseIndex);
+        const planned = phaseStartedAt === null ? remainingSeconds : phasePlanned;
+        if (cycle[phaseIndex].mode !== currentMode || planned !== seconds) {
+          recordPhase(false, clockNow());
+          currentMode = cycle[phaseIndex].mode;
+          remainingSeconds = seconds;
+        }
+      }
+      updateDisplay();
+      savePomodoroState();
+    }
+
+    // The timer keeps absolute timestamps instead of counting ticks: the remaining time is always derived
+    // from phaseEndsAt, so throttled background tabs, laptop sleep and reloads cannot make it run slow.
+    // The state lives in localStorage so it survives closing the tab.
+    const POMODORO_STORAGE_KEY = 'pomodoroState';
+    const LEGACY_SESSION_KEYS = ['pomodoro_remaining', 'pomodoro_mode', 'pomodoro_rounds', 'pomodoro_isRunning'];
+
+    // Save pomodoro state to localStorage and share it with the other tabs
+    function savePomodoroState() {
+      if (mirroring) return;
+      const state = {
+        mode: currentMode,
+        phaseIndex,
+        rounds: workRounds,
+        running: isRunning,
+        endsAt: phaseEndsAt,
+        remaining: remainingSeconds,
+        startedAt: phaseStartedAt,
+        taskId: phaseTaskId,
+        planned: phasePlanned,
+        runMs: phaseRunMs,
+        runSince,
+        extended: phaseExtended,
+        completion: lastCompletion,
+        savedAt: clockNow()
+      };
+      try {
+        localStorage.setItem(POMODORO_STORAGE_KEY, JSON.stringify(state));
+      } catch (e) {
+        console.warn('Failed to save pomodoro state:', e);
+      }
+      tabSync.send('pomodoro-state', state);
+    }
+
+    // Load pomodoro state from localStorage, catching up on a phase that ended while the page was closed,
+    // and ask whether to keep it (not when taking over from a closed tab, whose timer simply carries on)
+    function loadPomodoroState(askToResume = true) {
+      let saved = null;
+      try {
+        LEGACY_SESSION_KEYS.forEach(key => sessionStorage.removeItem(key));
+        saved = JSON.parse(localStorage.getItem(POMODORO_STORAGE_KEY) || 'null');
+      } catch (e) {
+        console.warn('Failed to load pomodoro state:', e);
+      }
+      if (!saved || !MODE_LABELS[saved.mode]) return;
+
+      currentMode = saved.mode;
+      // the cycle may have been edited since: only trust the index if it still points at the saved mode
+      phaseIndex = Number.isInteger(saved.phaseIndex) && cycle[saved.phaseIndex] && cycle[saved.phaseIndex].mode === saved.mode
+        ? saved.phaseIndex
+        : Math.max(0, cycle.findIndex(p => p.mode === saved.mode));
+      workRounds = Math.min(maxRounds, Math.max(0, parseInt(saved.rounds) || 0));
+      remainingSeconds = Math.max(0, parseInt(saved.remaining) || phaseSeconds(phaseIndex));
+      phaseStartedAt = typeof saved.startedAt === 'number' ? saved.startedAt : null;
+      phasePlanned = parseInt(saved.planned) || remainingSeconds;
+      // states saved before run times were kept: estimate them from the countdown
+      phaseRunMs = Number.isFinite(saved.runMs) ? saved.runMs : Math.max(0, phasePlanned - remainingSeconds) * 1000;
+      runSince = null;
+      const savedRunSince = Number.isFinite(saved.runSince) ? saved.runSince : saved.endsAt - remainingSeconds * 1000;
+      phaseTaskId = saved.taskId || null;
+      phaseExtended = !!saved.extended;
+      // kept so a notification button can still act after the page was closed and reopened
+      lastCompletion = saved.completion && MODE_LABELS[saved.completion.mode] && isFinite(saved.completion.endedAt)
+        ? { mode: saved.completion.mode, endedAt: saved.completion.endedAt }
+        : null;
+
+      let note;
+      if (saved.running && isFinite(saved.endsAt)) {
+        const label = MODE_LABELS[currentMode];
+        if (saved.endsAt <= clockNow()) {
+          phaseEndsAt = saved.endsAt;
+          runSince = savedRunSince;
+          handleTimerComplete(true);
+          note = `${label}已于 ${formatClockTime(saved.endsAt)} 结束，当前为${MODE_LABELS[currentMode]}`;
+        } else if (askToResume) {
+          // Held paused until the user picks "继续", so the phase doesn't run on unnoticed; it ran until now
+          remainingSeconds = Math.ceil((saved.endsAt - clockNow()) / 1000);
+          phaseRunMs += Math.max(0, clockNow() - savedRunSince);
+          savePomodoroState();
+          note = `${label}已暂停，剩余 ${formatTime(remainingSeconds)}，点击“继续”接着计时`;
+        } else {
+          runUntil(saved.endsAt, savedRunSince);
+        }
+      } else if (phaseIndex === 0 && workRounds === 0 && remainingSeconds === phaseSeconds(0)) {
+        // Nothing in progress, no need to ask
+        updateDisplay();
+        return;
+      } else {
+        note = `${MODE_LABELS[currentMode]}已暂停，剩余 ${formatTime(remainingSeconds)}`;
+      }
+
+      updateDisplay();
+      if (askToResume) showResumePrompt(note);
+    }
+
+    // Follower tabs only display the leading tab's timer; they never complete or record a phase
+    function applyRemoteState(state) {
+      if (!state || !MODE_LABELS[state.mode]) return;
+      currentMode = state.mode;
+      phaseIndex = Number.isInteger(state.phaseIndex) ? Math.min(state.phaseIndex, cycle.length - 1) : 0;
+      workRounds = parseInt(state.rounds) || 0;
+      remainingSeconds = Math.max(0, parseInt(state.remaining) || 0);
+      phaseTaskId = state.taskId || null;
+      clearInterval(timer);
+      isRunning = !!state.running && isFinite(state.endsAt);
+      phaseEndsAt = isRunning ? state.endsAt : null;
+      startBtn.disabled = isRunning;
+      pauseBtn.disabled = !isRunning;
+      if (isRunning) timer = setInterval(tick, 250);
+      tick();
+      updateDisplay();
+    }
+
+    function startMirroring() {
+      mirroring = true;
+      hideResumePrompt();
+      updateTicking();
+      try {
+        applyRemoteState(JSON.parse(localStorage.getItem(POMODORO_STORAGE_KEY) || 'null'));
+      } catch (e) {}
+      tabSync.send('pomodoro-state-request');
+    }
+
+    function showResumePrompt(note) {
+      if (!resumePrompt) return;
+      resumeText.textContent = `上次的番茄钟：${note}（第 ${workRounds} / ${maxRounds} 轮）`;
+      resumePrompt.classList.remove('hidden');
+      pomodoroPanel.classList.remove('hidden');
+    }
+
+    function hideResumePrompt() {
+      if (resumePrompt) resumePrompt.classList.add('hidden');
+    }
+
+    // --- Session history ---
+    // Every finished or abandoned phase is stored in IndexedDB as
+    // { id, mode, start, end, planned, actual, completed, taskId, taskTitle }: times are clockNow()
+    // timestamps, lengths seconds. The task title is copied so exports keep it after the task is deleted.
+    const HISTORY_DB_NAME = 'PomodoroHistoryDB';
+    const HISTORY_DB_VERSION = 1;
+    const HISTORY_STORE = 'sessions';
+    let historyDB = null;
+
+    async function initHistoryDB() {
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          historyDB = request.result;
+          resolve(historyDB);
+        };
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+          if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+            const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('start', 'start');
+          }
+        };
+      });
+    }
+
+    async function addSessionToDB(session) {
+      if (!historyDB) await initHistoryDB();
+
+      return new Promise((resolve, reject) => {
+        const request = historyDB.transaction([HISTORY_STORE], 'readwrite').objectStore(HISTORY_STORE).add(session);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    // Add several sessions in one transaction (backup import)
+    async function addSessionsToDB(sessions) {
+      if (!historyDB) await initHistoryDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = historyDB.transaction([HISTORY_STORE], 'readwrite');
+        const store = transaction.objectStore(HISTORY_STORE);
+        sessions.forEach(session => store.add(session));
+        transaction.oncomplete = () => resolve(sessions.length);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    }
+
+    // Sessions that started between two timestamps, oldest first
+    async function loadSessionsFromDB(from, to) {
+      if (!historyDB) await initHistoryDB();
+
+      return new Promise((resolve, reject) => {
+        const index = historyDB.transaction([HISTORY_STORE], 'readonly').objectStore(HISTORY_STORE).index('start');
+        const request = index.getAll(IDBKeyRange.bound(from, to));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    // Store the current phase once it ends or is given up; an abandoned phase that never ran is dropped
+    function recordPhase(completed, end) {
+      if (phaseStartedAt === null) return;
+      // measured running time, pauses excluded; a completed phase ran until it ended at `end`
+      const ranMs = phaseRunMs + (runSince === null ? 0 : Math.max(0, end - runSince));
+      phaseRunMs = 0;
+      runSince = null;
+      const session = {
+        mode: currentMode,
+        start: phaseStartedAt,
+        end,
+        planned: phasePlanned,
+        actual: Math.round(ranMs / 1000),
+        completed,
+        taskId: phaseTaskId
+      };
+      const task = phaseTaskId && tasks.find(t => t.id === phaseTaskId);
+      if (task) session.taskTitle = task.title;
+      const extension = phaseExtended;
+      phaseStartedAt = null;
+      phaseTaskId = null;
+      phaseExtended = false;
+      if (completed && session.mode === 'work' && session.taskId && !extension) creditTask(session.taskId);
+      if (!completed && session.actual === 0) return;
+      addSessionToDB(session)
+        .then(() => {
+          if (statsVisible) renderStats();
+        })
+        .catch(err => console.warn('Failed to save pomodoro session:', err));
+    }
+
+    // --- Statistics view ---
+    const STATS_DEFAULT_DAYS = 7;
+    let statsVisible = false;
+
+    function startOfDay(ms) {
+      const date = new Date(ms);
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    }
+
+    function addDays(ms, days) {
+      const date = new Date(ms);
+      date.setDate(date.getDate() + days); // calendar days, so DST changes don't shift midnight
+      return date.getTime();
+    }
+
+    function toDateInputValue(ms) {
+      const date = new Date(ms);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    function fromDateInputValue(value) {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+      return match ? new Date(+match[1], match[2] - 1, +match[3]).getTime() : NaN;
+    }
+
+    function setStatsRange(days) {
+      const today = startOfDay(clockNow());
+      statsFromInput.value = toDateInputValue(addDays(today, 1 - days));
+      statsToInput.value = toDateInputValue(today);
+      if (statsVisible) renderStats();
+    }
+
+    // Selected range as [first day, day after the last day]
+    function statsRange() {
+      let from = fromDateInputValue(statsFromInput.value);
+      let to = fromDateInputValue(statsToInput.value);
+      if (!isFinite(from) || !isFinite(to)) {
+        to = startOfDay(clockNow());
+        from = addDays(to, 1 - STATS_DEFAULT_DAYS);
+      }
+      if (from > to) [from, to] = [to, from];
+      return { from, to: addDays(to, 1) };
+    }
+
+    function focusMinutes(sessions) {
+      return sessions.reduce((sum, s) => sum + (s.mode === 'work' ? s.actual : 0), 0) / 60;
+    }
+
+    async function renderStats() {
+      const { from, to } = statsRange();
+      const today = startOfDay(clockNow());
+      const tomorrow = addDays(today, 1);
+      let sessions = [];
+      try {
+        sessions = await loadSessionsFromDB(Math.min(from, today), Math.max(to, tomorrow) - 1);
+      } catch (err) {
+        console.warn('Failed to load pomodoro history:', err);
+      }
+
+      const inRange = sessions.filter(s => s.start >= from && s.start < to);
+      const work = inRange.filter(s => s.mode === 'work');
+      const completedWork = work.filter(s => s.completed);
+      statsTodayEl.textContent = Math.round(focusMinutes(sessions.filter(s => s.start >= today && s.start < tomorrow)));
+      statsTotalEl.textContent = Math.round(focusMinutes(inRange));
+      statsRateEl.textContent = work.length ? `${Math.round(completedWork.length / work.length * 100)}%` : '--';
+
+      // Per-day focus minutes and the longest run of days with at least one completed work phase
+      const daily = [];
+      const doneDays = new Set(completedWork.map(s => startOfDay(s.start)));
+      let streak = 0;
+      let longestStreak = 0;
+      for (let day = from; day < to; day = addDays(day, 1)) {
+        const next = addDays(day, 1);
+        const date = new Date(day);
+        daily.push({
+          label: `${date.getMonth() + 1}/${date.getDate()}`,
+          value: focusMinutes(inRange.filter(s => s.start >= day && s.start < next))
+        });
+        streak = doneDays.has(day) ? streak + 1 : 0;
+        longestStreak = Math.max(longestStreak, streak);
+      }
+      statsStreakEl.textContent = longestStreak;
+
+      // Weeks start on Monday
+      const weekly = [];
+      const firstDate = new Date(from);
+      for (let week = addDays(from, -((firstDate.getDay() + 6) % 7)); week < to; week = addDays(week, 7)) {
+        const next = addDays(week, 7);
+        const date = new Date(week);
+        weekly.push({
+          label: `${date.getMonth() + 1}/${date.getDate()}`,
+          value: focusMinutes(inRange.filter(s => s.start >= week && s.start < next))
+        });
+      }
+
+      drawBarChart(statsDailyCanvas, daily, '#ff6b6b');
+      drawBarChart(statsWeeklyCanvas, weekly, '#339af0');
+    }
+
+    function drawBarChart(canvas, bars, color) {
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth || 300;
+      const height = canvas.clientHeight || 120;
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      const top = 16;
+      const bottom = 18;
+      const plotHeight = height - top - bottom;
+      const max = Math.max(1, ...bars.map(bar => bar.value));
+      const slot = width / Math.max(1, bars.length);
+      const labelEvery = Math.max(1, Math.ceil(36 / slot));
+
+      ctx.font = '10px system-ui, sans-serif';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.textAlign = 'left';
+      ctx.fillText(`${Math.round(max)} 分钟`, 0, 10);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+      ctx.fillRect(0, top + plotHeight, width, 1);
+
+      ctx.textAlign = 'center';
+      bars.forEach((bar, i) => {
+        const barHeight = bar.value / max * plotHeight;
+        ctx.fillStyle = color;
+        ctx.fillRect(i * slot + slot * 0.15, top + plotHeight - barHeight, slot * 0.7, barHeight);
+        if (i % labelEvery === 0) {
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+          ctx.fillText(bar.label, i * slot + slot / 2, height - 4);
+        }
+      });
+    }
+
+    // --- Export and backup ---
+    // CSV (one row per phase) and iCalendar (one event per work phase) cover the range picked above;
+    // the JSON backup holds the whole history and can be imported in another browser.
+    const BACKUP_FORMAT = 'nightcord-pomodoro-history';
+    const BACKUP_VERSION = 1;
+
+    function downloadFile(name, type, content) {
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function pad2(n) {
+      return String(n).padStart(2, '0');
     }
-    if (k === 'f') {
-      e.preventDefault();
-      if (fullscreenBtn) fullscreenBtn.click();
-      return;
+
+    function formatClockSeconds(ms) {
+      const date = new Date(ms);
+      return `${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`;
     }
-  });
 
-  // --- Pomodoro Timer Logic ---
-  (() => {
-    const pomodoroBtn = document.getElementById('pomodoroBtn');
-    const pomodoroPanel = document.getElementById('pomodoroPanel');
-    const pomodoroCloseBtn = document.getElementById('pomodoroCloseBtn');
-    const toggleClockWidgetBtn = document.getElementById('toggleClockWidget');
-    const worldClockSection = document.getElementById('worldClockSection');
-    const pomodoroDisplay = document.getElementById('pomodoroDisplay');
-    const pomodoroStatus = document.querySelector('.pomodoro-status');
-    const startBtn = document.getElementById('pomodoroStartBtn');
-    const pauseBtn = document.getElementById('pomodoroPauseBtn');
-    const resetBtn = document.getElementById('pomodoroResetBtn');
-    const workDurationInput = document.getElementById('workDuration');
-    const shortBreakInput = document.getElementById('shortBreak');
-    const longBreakInput = document.getElementById('longBreak');
-    const pomodoroRound = document.getElementById('pomodoroRound');
+    function sessionTaskTitle(session) {
+      if (session.taskTitle) return session.taskTitle;
+      const task = session.taskId && tasks.find(t => t.id === session.taskId);
+      return task ? task.title : '';
+    }
 
-    // World Clock elements - Time.is style
-    const localHoursEl = document.getElementById('localHours');
-    const localMinutesEl = document.getElementById('localMinutes');
-    const localSecondsEl = document.getElementById('localSeconds');
-    const localMillisecondsEl = document.getElementById('localMilliseconds');
-    const localDateEl = document.getElementById('localDate');
+    // Quote a CSV field; text that spreadsheets would run as a formula gets a leading apostrophe
+    function csvField(value) {
+      let text = String(value);
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-    // Configurable World Clocks
-    const clockSelects = [
-      document.getElementById('clock1Select'),
-      document.getElementById('clock2Select'),
-      document.getElementById('clock3Select')
-    ];
+    function sessionsToCsv(sessions) {
+      const rows = [['日期', '开始', '结束', '类型', '计划 (分钟)', '实际 (分钟)', '完成', '任务']];
+      sessions.forEach(s => {
+        rows.push([
+          toDateInputValue(s.start),
+          formatClockSeconds(s.start),
+          formatClockSeconds(s.end),
+          MODE_LABELS[s.mode] || s.mode,
+          Math.round(s.planned / 6) / 10,
+          Math.round(s.actual / 6) / 10,
+          s.completed ? '是' : '否',
+          sessionTaskTitle(s)
+        ]);
+      });
+      // BOM so spreadsheet programs read the file as UTF-8
+      return '\uFEFF' + rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
 
-    const clockTimeEls = [
-      document.getElementById('clock1Time'),
-      document.getElementById('clock2Time'),
-      document.getElementById('clock3Time')
-    ];
+    function icsDate(ms) {
+      return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
 
-    const AVAILABLE_TIMEZONES = [
-      { label: '东京 🗼', zone: 'Asia/Tokyo' },
-      { label: '纽约 🗽', zone: 'America/New_York' },
-      { label: '伦敦 🏰', zone: 'Europe/London' },
-      { label: '巴黎 🗼', zone: 'Europe/Paris' },
-      { label: '洛杉矶 🌴', zone: 'America/Los_Angeles' },
-      { label: '悉尼 🐨', zone: 'Australia/Sydney' },
-      { label: '上海 🐼', zone: 'Asia/Shanghai' },
-      { label: '迪拜 🏙️', zone: 'Asia/Dubai' },
-      { label: '莫斯科 🏰', zone: 'Europe/Moscow' },
-      { label: '新加坡 🦁', zone: 'Asia/Singapore' },
-      { label: '首尔 🏯', zone: 'Asia/Seoul' },
-      { label: '温哥华 🍁', zone: 'America/Vancouver' },
-      { label: '圣保罗 🇧🇷', zone: 'America/Sao_Paulo' },
-      { label: 'UTC 🌍', zone: 'UTC' }
-    ];
+    function icsText(text) {
+      return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
 
-    // Default selections
-    let selectedTimeZones = ['Asia/Tokyo', 'America/New_York', 'Europe/London'];
+    // Content lines longer than 75 bytes are folded onto continuation lines starting with a space
+    function icsFold(line) {
+      const encoder = new TextEncoder();
+      const parts = [];
+      let current = '';
+      for (const char of line) {
+        const limit = parts.length ? 74 : 75;
+        if (encoder.encode(current + char).length > limit) {
+          parts.push(current);
+          current = '';
+        }
+        current += char;
+      }
+      parts.push(current);
+      return parts.join('\r\n ');
+    }
 
-    // Load saved timezones
-    try {
-      const saved = localStorage.getItem('worldClockTimeZones');
-      if (saved) {
-        selectedTimeZones = JSON.parse(saved);
+    function sessionsToIcs(sessions) {
+      const stamp = icsDate(Date.now());
+      const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Nightcord//Pomodoro//ZH', 'CALSCALE:GREGORIAN'];
+      sessions.filter(s => s.mode === 'work').forEach(s => {
+        const task = sessionTaskTitle(s);
+        const minutes = Math.round(s.actual / 60);
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:pomodoro-${s.start}-${s.mode}@nightcord`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART:${icsDate(s.start)}`,
+          `DTEND:${icsDate(s.end)}`,
+          `SUMMARY:${icsText(task ? `🍅 ${task}` : '🍅 专注')}`,
+          `DESCRIPTION:${icsText(`专注 ${minutes} 分钟（计划 ${Math.round(s.planned / 60)} 分钟${s.completed ? '' : '，提前结束'}）`)}`,
+          'END:VEVENT'
+        );
+      });
+      lines.push('END:VCALENDAR');
+      return lines.map(icsFold).join('\r\n') + '\r\n';
+    }
+
+    async function exportRange(kind) {
+      const { from, to } = statsRange();
+      let sessions;
+      try {
+        sessions = await loadSessionsFromDB(from, to - 1);
+      } catch (err) {
+        console.warn('Failed to load pomodoro history:', err);
+        statsExportStatus.textContent = '读取历史记录失败。';
+        return;
       }
-    } catch (e) {}
+      const name = `pomodoro-${toDateInputValue(from)}_${toDateInputValue(addDays(to, -1))}`;
+      if (kind === 'csv') {
+        downloadFile(`${name}.csv`, 'text/csv;charset=utf-8', sessionsToCsv(sessions));
+        statsExportStatus.textContent = `已导出 ${sessions.length} 个阶段。`;
+      } else {
+        const work = sessions.filter(s => s.mode === 'work').length;
+        downloadFile(`${name}.ics`, 'text/calendar;charset=utf-8', sessionsToIcs(sessions));
+        statsExportStatus.textContent = `已导出 ${work} 个工作阶段。`;
+      }
+    }
 
-    // Initialize selects
-    clockSelects.forEach((select, index) => {
-      if (!select) return;
+    async function exportBackup() {
+      let sessions;
+      try {
+        sessions = await loadSessionsFromDB(0, Number.MAX_SAFE_INTEGER);
+      } catch (err) {
+        console.warn('Failed to load pomodoro history:', err);
+        statsExportStatus.textContent = '读取历史记录失败。';
+        return;
+      }
+      const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date(clockNow()).toISOString(),
+        sessions: sessions.map(({ id, ...s }) => ({ ...s, taskTitle: sessionTaskTitle(s) || undefined }))
+      };
+      downloadFile(`pomodoro-backup-${toDateInputValue(clockNow())}.json`, 'application/json', JSON.stringify(backup, null, 2));
+      statsExportStatus.textContent = `已备份 ${sessions.length} 条记录。`;
+    }
 
-      // Populate options
-      AVAILABLE_TIMEZONES.forEach(tz => {
-        const option = document.createElement('option');
-        option.value = tz.zone;
-        option.textContent = tz.label;
-        select.appendChild(option);
-      });
+    // A stored session from a backup entry, or null if it isn't one
+    function readBackupSession(entry) {
+      if (!entry || !MODE_LABELS[entry.mode]) return null;
+      const { start, end, planned, actual } = entry;
+      if (![start, end, planned, actual].every(n => typeof n === 'number' && isFinite(n)) || end < start) return null;
+      const session = { mode: entry.mode, start, end, planned, actual, completed: !!entry.completed, taskId: entry.taskId || null };
+      if (typeof entry.taskTitle === 'string' && entry.taskTitle) session.taskTitle = entry.taskTitle;
+      return session;
+    }
 
-      // Set selected value
-      if (selectedTimeZones[index]) {
-        select.value = selectedTimeZones[index];
+    // Merge a backup into the history; phases already present (same mode and start) are skipped
+    async function importBackup(file) {
+      let backup;
+      try {
+        backup = JSON.parse(await file.text());
+      } catch (err) {
+        statsExportStatus.textContent = '无法读取该文件，请选择备份的 JSON 文件。';
+        return;
+      }
+      if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.sessions)) {
+        statsExportStatus.textContent = '该文件不是番茄钟历史备份。';
+        return;
+      }
+      if (backup.version > BACKUP_VERSION) {
+        statsExportStatus.textContent = '该备份来自更新的版本，请先更新页面。';
+        return;
       }
 
-      // Add change listener
-      select.addEventListener('change', (e) => {
-        selectedTimeZones[index] = e.target.value;
-        localStorage.setItem('worldClockTimeZones', JSON.stringify(selectedTimeZones));
-        updateWorldClocks();
-      });
-    });
+      try {
+        const existing = await loadSessionsFromDB(0, Number.MAX_SAFE_INTEGER);
+        const seen = new Set(existing.map(s => `${s.mode}@${s.start}`));
+        const incoming = [];
+        let invalid = 0;
+        backup.sessions.forEach(entry => {
+          const session = readBackupSession(entry);
+          if (!session) {
+            invalid++;
+          } else if (!seen.has(`${session.mode}@${session.start}`)) {
+            seen.add(`${session.mode}@${session.start}`);
+            incoming.push(session);
+          }
+        });
+        if (incoming.length) await addSessionsToDB(incoming);
+        const skipped = backup.sessions.length - incoming.length - invalid;
+        statsExportStatus.textContent = `已导入 ${incoming.length} 条记录`
+          + (skipped ? `，跳过 ${skipped} 条重复记录` : '')
+          + (invalid ? `，忽略 ${invalid} 条无效记录` : '') + '。';
+        renderStats();
+      } catch (err) {
+        console.warn('Failed to import pomodoro history:', err);
+        statsExportStatus.textContent = '导入失败。';
+      }
+    }
 
-    if (!pomodoroBtn || !pomodoroPanel) return;
+    function chooseBackupFile() {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.onchange = () => {
+        if (input.files[0]) importBackup(input.files[0]);
+      };
+      input.click();
+    }
 
-    let timer = null;
-    let remainingSeconds = 25 * 60;
-    let isRunning = false;
-    let currentMode = 'work'; // 'work', 'short-break', 'long-break'
-    let workRounds = 0;
-    const maxRounds = 4;
-    let clockWidgetVisible = false;
+    function toggleStats() {
+      statsVisible = !statsVisible;
+      pomodoroPanel.classList.toggle('show-stats', statsVisible);
+      statsBtn.classList.toggle('active', statsVisible);
+      if (statsVisible) renderStats();
+    }
 
-    // SessionStorage keys for Pomodoro
-    const POMODORO_STORAGE_KEYS = {
-      REMAINING: 'pomodoro_remaining',
-      MODE: 'pomodoro_mode',
-      ROUNDS: 'pomodoro_rounds',
-      IS_RUNNING: 'pomodoro_isRunning'
-    };
+    // --- Tasks ---
+    // { id, title, estimate, actual, done } in localStorage. A work phase counts against the task that was
+    // active when it started (phaseTaskId), even if another task is picked while it runs.
+    const TASKS_STORAGE_KEY = 'pomodoroTasks';
+    let tasks = [];
+    let activeTaskId = null;
+    let phaseTaskId = null;
+    let editingTaskId = null;
+
+    // Also re-run when another tab changes the list
+    function loadTasks() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(TASKS_STORAGE_KEY) || 'null');
+        if (saved && Array.isArray(saved.tasks)) {
+          tasks = saved.tasks.filter(t => t && t.id && typeof t.title === 'string');
+          activeTaskId = tasks.some(t => t.id === saved.activeId) ? saved.activeId : null;
+        }
+      } catch (e) {}
+    }
+    loadTasks();
 
-    // Save pomodoro state to sessionStorage
-    function savePomodoroState() {
+    function saveTasks() {
       try {
-        sessionStorage.setItem(POMODORO_STORAGE_KEYS.REMAINING, remainingSeconds);
-        sessionStorage.setItem(POMODORO_STORAGE_KEYS.MODE, currentMode);
-        sessionStorage.setItem(POMODORO_STORAGE_KEYS.ROUNDS, workRounds);
-        sessionStorage.setItem(POMODORO_STORAGE_KEYS.IS_RUNNING, isRunning);
+        localStorage.setItem(TASKS_STORAGE_KEY, JSON.stringify({ tasks, activeId: activeTaskId }));
       } catch (e) {
-        console.warn('Failed to save pomodoro state:', e);
+        console.warn('Failed to save pomodoro tasks:', e);
       }
     }
 
-    // Load pomodoro state from sessionStorage
-    function loadPomodoroState() {
-      try {
-        const savedRemaining = sessionStorage.getItem(POMODORO_STORAGE_KEYS.REMAINING);
-        const savedMode = sessionStorage.getItem(POMODORO_STORAGE_KEYS.MODE);
-        const savedRounds = sessionStorage.getItem(POMODORO_STORAGE_KEYS.ROUNDS);
-        const savedRunning = sessionStorage.getItem(POMODORO_STORAGE_KEYS.IS_RUNNING);
+    function findTask(id) {
+      return tasks.find(t => t.id === id) || null;
+    }
 
-        if (savedRemaining !== null) {
-          remainingSeconds = parseInt(savedRemaining);
-        }
-        if (savedMode !== null) {
-          currentMode = savedMode;
+    function addTask(title, estimate) {
+      const task = { id: 'task_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), title, estimate, actual: 0, done: false };
+      tasks.push(task);
+      if (!activeTaskId) activeTaskId = task.id;
+      saveTasks();
+      renderTasks();
+    }
+
+    function setActiveTask(id) {
+      activeTaskId = activeTaskId === id ? null : id;
+      saveTasks();
+      renderTasks();
+    }
+
+    function moveTask(id, delta) {
+      const from = tasks.findIndex(t => t.id === id);
+      const to = from + delta;
+      if (from < 0 || to < 0 || to >= tasks.length) return;
+      [tasks[from], tasks[to]] = [tasks[to], tasks[from]];
+      saveTasks();
+      renderTasks();
+    }
+
+    function toggleTaskDone(id) {
+      const task = findTask(id);
+      if (!task) return;
+      task.done = !task.done;
+      if (task.done && activeTaskId === id) activeTaskId = null;
+      saveTasks();
+      renderTasks();
+    }
+
+    function deleteTask(id) {
+      tasks = tasks.filter(t => t.id !== id);
+      if (activeTaskId === id) activeTaskId = null;
+      saveTasks();
+      renderTasks();
+    }
+
+    // A finished work phase adds one pomodoro to its task
+    function creditTask(id) {
+      const task = findTask(id);
+      if (!task) return;
+      task.actual++;
+      saveTasks();
+      renderTasks();
+    }
+
+    function taskButton(text, title, onClick) {
+      const btn = document.createElement('button');
+      btn.className = 'task-action';
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      return btn;
+    }
+
+    function renderTaskEditor(item, task) {
+      const title = document.createElement('input');
+      title.className = 'task-edit-title';
+      title.value = task.title;
+      title.maxLength = 80;
+      const estimate = document.createElement('input');
+      estimate.type = 'number';
+      estimate.className = 'task-estimate-input';
+      estimate.min = 1;
+      estimate.max = 20;
+      estimate.value = task.estimate;
+      estimate.title = '预计番茄数';
+
+      const commit = () => {
+        const text = title.value.trim();
+        if (text) task.title = text;
+        task.estimate = Math.min(20, Math.max(1, parseInt(estimate.value) || task.estimate));
+        editingTaskId = null;
+        saveTasks();
+        renderTasks();
+      };
+      const onKey = (e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') {
+          editingTaskId = null;
+          renderTasks();
         }
-        if (savedRounds !== null) {
-          workRounds = parseInt(savedRounds);
+      };
+      title.addEventListener('keydown', onKey);
+      estimate.addEventListener('keydown', onKey);
+
+      item.appendChild(title);
+      item.appendChild(estimate);
+      item.appendChild(taskButton('✓', '保存', commit));
+      setTimeout(() => title.focus(), 0);
+    }
+
+    function renderTasks() {
+      taskListEl.innerHTML = '';
+      tasks.forEach((task, index) => {
+        const item = document.createElement('li');
+        item.className = 'task-item';
+        item.classList.toggle('active', task.id === activeTaskId);
+        item.classList.toggle('done', task.done);
+
+        if (task.id === editingTaskId) {
+          renderTaskEditor(item, task);
+          taskListEl.appendChild(item);
+          return;
         }
 
-        updateDisplay();
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = task.done;
+        check.title = '标记完成';
+        check.addEventListener('click', (e) => e.stopPropagation());
+        check.addEventListener('change', () => toggleTaskDone(task.id));
+
+        const title = document.createElement('span');
+        title.className = 'task-title';
+        title.textContent = task.title;
 
-        // If it was running, resume the timer
-        if (savedRunning === 'true') {
-          startTimer();
+        const count = document.createElement('span');
+        count.className = 'task-count';
+        count.classList.toggle('over', task.actual > task.estimate);
+        count.textContent = `${task.actual} / ${task.estimate} 🍅`;
+        count.title = '实际 / 预计番茄数';
+
+        item.appendChild(check);
+        item.appendChild(title);
+        item.appendChild(count);
+        item.appendChild(taskButton('↑', '上移', () => moveTask(task.id, -1)));
+        item.appendChild(taskButton('↓', '下移', () => moveTask(task.id, 1)));
+        item.appendChild(taskButton('✎', '编辑', () => {
+          editingTaskId = task.id;
+          renderTasks();
+        }));
+        item.appendChild(taskButton('✕', '删除', () => deleteTask(task.id)));
+        item.children[3].disabled = index === 0;
+        item.children[4].disabled = index === tasks.length - 1;
+        if (!task.done) {
+          item.title = '点击设为当前任务';
+          item.addEventListener('click', () => setActiveTask(task.id));
         }
-      } catch (e) {
-        console.warn('Failed to load pomodoro state:', e);
-      }
+        taskListEl.appendChild(item);
+      });
+
+      const done = tasks.filter(t => t.done).length;
+      const estimated = tasks.reduce((sum, t) => sum + t.estimate, 0);
+      const actual = tasks.reduce((sum, t) => sum + t.actual, 0);
+      taskSummaryEl.textContent = tasks.length ? `完成 ${done}/${tasks.length} · 🍅 实际 ${actual} / 预计 ${estimated}` : '';
+      const active = findTask(activeTaskId);
+      activeTaskEl.textContent = active ? `当前任务：${active.title}` : '';
     }
 
     // Toggle clock widget visibility
@@ -736,7 +4136,7 @@
 
     // High-precision World Clock Update with milliseconds
     function updateWorldClocks() {
-      const now = new Date();
+      const now = new Date(clockNow());
       const ms = now.getMilliseconds();
 
       // Local time with milliseconds
@@ -787,6 +4187,12 @@
       return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
     }
 
+    // HH:MM of a clockNow() timestamp
+    function formatClockTime(ms) {
+      const date = new Date(ms);
+      return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
     function updateDisplay() {
       pomodoroDisplay.textContent = formatTime(remainingSeconds);
       pomodoroRound.textContent = `${workRounds} / ${maxRounds}`;
@@ -806,38 +4212,81 @@
 
     function startTimer() {
       if (isRunning) return;
+      hideResumePrompt();
+      hidePhaseToast();
+      clearTimeout(snoozeTimer);
+      if (phaseStartedAt === null) {
+        beginPhase(clockNow());
+        announcePhase();
+      } else {
+        const now = clockNow();
+        runUntil(now + remainingSeconds * 1000, now);
+      }
+      savePomodoroState(); // Save state
+    }
+
+    // Start the current phase from its full length at the given time
+    function beginPhase(startAt) {
+      phaseStartedAt = startAt;
+      phasePlanned = remainingSeconds;
+      phaseRunMs = 0;
+      phaseTaskId = currentMode === 'work' ? activeTaskId : null;
+      runUntil(startAt + remainingSeconds * 1000, startAt);
+    }
+
+    // Tell the CD player (and anything else listening) that a phase began or is waiting to be started
+    function announcePhase() {
+      document.dispatchEvent(new CustomEvent('pomodoro:phase', {
+        detail: { mode: currentMode, running: isRunning }
+      }));
+    }
+
+    // Run the current phase until the given clockNow() timestamp; since is when this run began
+    function runUntil(endsAt, since) {
       isRunning = true;
+      phaseEndsAt = endsAt;
+      runSince = since;
       startBtn.disabled = true;
       pauseBtn.disabled = false;
-      savePomodoroState(); // Save state
-
-      timer = setInterval(() => {
-        remainingSeconds--;
-        updateDisplay();
-        savePomodoroState(); // Save state on each tick
+      clearInterval(timer);
+      timer = setInterval(tick, 250);
+      tick();
+      updateTicking();
+    }
 
-        if (remainingSeconds <= 0) {
-          clearInterval(timer);
-          isRunning = false;
-          savePomodoroState(); // Save state
-          handleTimerComplete();
-        }
-      }, 1000);
+    function tick() {
+      if (!isRunning) return;
+      remainingSeconds = Math.max(0, Math.ceil((phaseEndsAt - clockNow()) / 1000));
+      updateDisplay();
+      if (remainingSeconds <= 0 && !mirroring) {
+        handleTimerComplete(clockNow() - phaseEndsAt > LATE_COMPLETION_MS);
+      }
     }
 
     function pauseTimer() {
       if (!isRunning) return;
+      tick();
       clearInterval(timer);
       isRunning = false;
+      phaseEndsAt = null;
+      phaseRunMs += Math.max(0, clockNow() - runSince);
+      runSince = null;
       startBtn.disabled = false;
       pauseBtn.disabled = true;
+      updateTicking();
       savePomodoroState(); // Save state
     }
 
     function resetTimer() {
       pauseTimer();
-      currentMode = 'work';
-      remainingSeconds = parseInt(workDurationInput.value) * 60;
+      hideResumePrompt();
+      hidePhaseToast();
+      clearTimeout(snoozeTimer);
+      lastCompletion = null;
+      recordPhase(false, clockNow());
+      phaseIndex = 0;
+      currentMode = cycle[0].mode;
+      remainingSeconds = phaseSeconds(0);
       workRounds = 0;
       updateDisplay();
       startBtn.disabled = false;
@@ -845,38 +4294,391 @@
       savePomodoroState(); // Save state
     }
 
-    function handleTimerComplete() {
-      // Play notification sound (browser notification)
+    // caughtUp: the phase ended a while ago (page closed or device asleep), so only move on in the cycle
+    // without a cue or notification
+    function handleTimerComplete(caughtUp) {
+      const endedAt = phaseEndsAt;
+      const endedMode = currentMode;
+      clearInterval(timer);
+      isRunning = false;
+      recordPhase(true, endedAt);
+      phaseEndsAt = null;
+
+      if (!caughtUp) soundCue(currentMode === 'work' ? 'work-end' : 'break-end');
+
+      advancePhase();
+      updateDisplay();
+      startBtn.disabled = false;
+      pauseBtn.disabled = true;
+
+      // Auto-started phases begin when the previous one ended, so catching up after sleep stays on the clock.
+      // After more than a whole cycle away, wait for a manual start instead.
+      const cycleMs = cycle.reduce((sum, p) => sum + p.minutes, 0) * 60 * 1000;
+      if (autoStarts(currentMode) && clockNow() - endedAt < cycleMs) {
+        beginPhase(endedAt);
+      }
+      if (!caughtUp) {
+        announcePhase();
+        notifyPhaseEnd(endedMode, endedAt);
+      }
+      updateTicking();
+      savePomodoroState(); // Save state after mode switch
+    }
+
+    // Move to the next phase of the cycle
+    function advancePhase() {
+      if (currentMode === 'work') workRounds++;
+      phaseIndex = phaseIndex + 1 < cycle.length ? phaseIndex + 1 : 0;
+      if (phaseIndex === 0) workRounds = 0;
+      currentMode = cycle[phaseIndex].mode;
+      remainingSeconds = phaseSeconds(phaseIndex);
+    }
+
+    // --- Phase-end notifications ---
+    // Shown through the service worker so they can carry buttons; sw.js posts the chosen action back to
+    // the open pages. Without notification permission (or a service worker) the same buttons appear in an
+    // in-page toast. Actions only apply to the latest notification, identified by the time its phase ended.
+    const SNOOZE_MS = 5 * 60 * 1000;
+    const EXTEND_SECONDS = 5 * 60;
+    let snoozeTimer = null;
+    let notificationIconUrl = null;
+    let phaseToast = null;
+
+    // Notification icons have to be image URLs, so draw a tomato once
+    function notificationIcon() {
+      if (notificationIconUrl !== null) return notificationIconUrl || undefined;
+      notificationIconUrl = '';
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 192;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ff6b6b';
+        ctx.beginPath();
+        ctx.ellipse(96, 108, 78, 70, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.beginPath();
+        ctx.ellipse(62, 86, 18, 11, -0.6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#51cf66';
+        for (let i = 0; i < 5; i++) {
+          const angle = -Math.PI / 2 + (i * 2 * Math.PI) / 5;
+          ctx.beginPath();
+          ctx.ellipse(96 + Math.cos(angle) * 18, 44 + Math.sin(angle) * 10, 22, 7, angle, 0, Math.PI * 2);
+          ctx.fill();
+        }
+        ctx.fillRect(92, 16, 8, 26);
+        notificationIconUrl = canvas.toDataURL('image/png');
+      } catch (e) {
+        console.warn('Failed to draw notification icon:', e);
+      }
+      return notificationIconUrl || undefined;
+    }
+
+    function notifyPhaseEnd(endedMode, endedAt) {
+      lastCompletion = { mode: endedMode, endedAt };
+      const workEnded = endedMode === 'work';
+      const title = workEnded ? '工作完成!' : '休息结束!';
+      const body = workEnded ? '该休息一下了 ☕' : '开始下一个番茄钟 🍅';
+      // Most important first: browsers show only the first Notification.maxActions buttons
+      const actions = [];
+      if (!isRunning) actions.push({ action: 'start', title: workEnded ? '开始休息' : '开始工作' });
+      if (workEnded) {
+        actions.push({ action: 'extend', title: '+5 分钟工作' });
+        actions.push({ action: 'skip', title: '跳过休息' });
+      }
+      actions.push({ action: 'snooze', title: '5 分钟后提醒' });
+      showPhaseNotification(title, body, actions, endedAt);
+    }
+
+    async function showPhaseNotification(title, body, actions, endedAt) {
+      if ('Notification' in window && Notification.permission === 'granted') {
+        try {
+          const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+          if (registration) {
+            await registration.showNotification(title, {
+              body,
+              icon: notificationIcon(),
+              tag: 'pomodoro',
+              renotify: true,
+              requireInteraction: true,
+              actions: actions.slice(0, Notification.maxActions || actions.length),
+              data: { endedAt }
+            });
+            return;
+          }
+          // file:// pages have no service worker: a plain notification draws attention to the page,
+          // and the buttons are in the toast there
+          new Notification(title, { body, icon: notificationIcon(), tag: 'pomodoro' });
+        } catch (e) {
+          console.warn('Notification error:', e);
+        }
+      }
+      showPhaseToast(title, body, actions, endedAt);
+    }
+
+    function showPhaseToast(title, body, actions, endedAt) {
+      hidePhaseToast();
+      phaseToast = document.createElement('div');
+      phaseToast.className = 'pomodoro-toast';
+      phaseToast.setAttribute('role', 'alert');
+      const text = document.createElement('div');
+      text.className = 'pomodoro-toast-text';
+      const heading = document.createElement('strong');
+      heading.textContent = title;
+      text.append(heading, document.createTextNode(` ${body}`));
+      const buttons = document.createElement('div');
+      buttons.className = 'pomodoro-toast-actions';
+      actions.forEach(({ action, title: label }) => {
+        const btn = document.createElement('button');
+        btn.className = 'pomodoro-btn';
+        btn.textContent = label;
+        btn.addEventListener('click', () => runPhaseAction(action, endedAt));
+        buttons.appendChild(btn);
+      });
+      const closeBtn = document.createElement('button');
+      closeBtn.className = 'pomodoro-toast-close';
+      closeBtn.title = '关闭';
+      closeBtn.textContent = '✕';
+      closeBtn.addEventListener('click', hidePhaseToast);
+      phaseToast.append(text, buttons, closeBtn);
+      // clicks must not reach the overlay behind it
+      phaseToast.addEventListener('click', (e) => e.stopPropagation());
+      (document.getElementById('app') || document.body).appendChild(phaseToast);
+    }
+
+    function hidePhaseToast() {
+      if (phaseToast) phaseToast.remove();
+      phaseToast = null;
+    }
+
+    // Stop whatever phase followed the notification; time it already ran is kept as abandoned
+    function setAsidePhase() {
+      pauseTimer();
+      recordPhase(false, clockNow());
+      remainingSeconds = phaseSeconds(phaseIndex);
+    }
+
+    function runPhaseAction(action, endedAt) {
+      if (!lastCompletion || lastCompletion.endedAt !== endedAt) return;
+      hidePhaseToast();
+      clearTimeout(snoozeTimer);
+      const completion = lastCompletion;
+      // cleared before the phase starts so the saved state no longer offers the used buttons
+      if (action !== 'snooze') lastCompletion = null;
+
+      if (action === 'start') {
+        startTimer();
+      } else if (action === 'snooze') {
+        // Hold the next phase and ask again later
+        if (isRunning) setAsidePhase();
+        updateDisplay();
+        savePomodoroState();
+        snoozeTimer = setTimeout(() => notifyPhaseEnd(completion.mode, completion.endedAt), SNOOZE_MS);
+        return;
+      } else if (action === 'extend' && completion.mode === 'work' && currentMode !== 'work') {
+        // Back to the work phase for a few more minutes; it still counts as one pomodoro for the task
+        setAsidePhase();
+        phaseIndex = Math.max(0, phaseIndex - 1);
+        workRounds = Math.max(0, workRounds - 1);
+        currentMode = 'work';
+        remainingSeconds = EXTEND_SECONDS;
+        phaseExtended = true;
+        startTimer();
+      } else if (action === 'skip' && currentMode !== 'work') {
+        setAsidePhase();
+        advancePhase();
+        startTimer();
+      }
+    }
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        const msg = e.data;
+        // every tab gets the message; only the one running the timer acts on it
+        if (msg && msg.type === 'pomodoro-action' && !mirroring) runPhaseAction(msg.action, msg.endedAt);
+      });
+    }
+
+    // --- Sound cues ---
+    // Phase changes are announced by chimes synthesised on the 'ui' bus of audioEngine (nothing to
+    // download), and work phases can carry a soft looped tick. Each cue dispatches pomodoro:cue with its
+    // real length so the CD player ducks underneath it.
+    const SOUND_SETTINGS_KEY = 'pomodoroSound';
+    const TICK_LEVEL = 0.25; // the tick is meant to sit far below the music even at full volume
+    const soundSettings = { style: 'bell', volume: 0.7, ticking: false, tickVolume: 0.3 };
+    let tickSource = null;
+    let tickGain = null;
+
+    // One enveloped oscillator note; returns when it has died away
+    function playNote(ctx, out, { type = 'sine', freq, start, attack = 0.005, decay, gain = 1 }) {
+      const osc = ctx.createOscillator();
+      const env = ctx.createGain();
+      osc.type = type;
+      osc.frequency.setValueAtTime(freq, start);
+      env.gain.setValueAtTime(0.0001, start);
+      env.gain.linearRampToValueAtTime(gain, start + attack);
+      env.gain.exponentialRampToValueAtTime(0.0001, start + attack + decay);
+      osc.connect(env);
+      env.connect(out);
+      osc.start(start);
+      osc.stop(start + attack + decay + 0.05);
+      return start + attack + decay;
+    }
+
+    // Each style plays the end of a work phase falling and the end of a break rising.
+    // play() schedules its notes from time t and returns when the last one ends.
+    const CUE_STYLES = {
+      bell: {
+        label: '🔔 铃声',
+        play(ctx, out, t, rising) {
+          const pitches = rising ? [659.25, 880] : [880, 659.25];
+          let end = t;
+          pitches.forEach((freq, i) => {
+            // inharmonic partials make it ring like a small bell
+            [[1, 0.5, 2.2], [2.76, 0.22, 1.4], [5.4, 0.1, 0.8], [8.93, 0.05, 0.5]].forEach(([ratio, gain, decay]) => {
+              end = Math.max(end, playNote(ctx, out, { freq: freq * ratio, start: t + i * 0.45, gain, decay }));
+            });
+          });
+          return end;
+        }
+      },
+      chime: {
+        label: '🎐 三音',
+        play(ctx, out, t, rising) {
+          const notes = [523.25, 659.25, 783.99];
+          if (!rising) notes.reverse();
+          let end = t;
+          notes.forEach((freq, i) => {
+            end = Math.max(end, playNote(ctx, out, { freq, start: t + i * 0.22, attack: 0.02, decay: 1.3, gain: 0.45 }));
+          });
+          return end;
+        }
+      },
+      wood: {
+        label: '🪵 木鱼',
+        play(ctx, out, t, rising) {
+          const pitches = rising ? [620, 620, 820] : [820, 620, 620];
+          let end = t;
+          pitches.forEach((freq, i) => {
+            end = Math.max(end, playNote(ctx, out, { type: 'triangle', freq, start: t + i * 0.28, attack: 0.002, decay: 0.18, gain: 0.8 }));
+          });
+          return end;
+        }
+      },
+      digital: {
+        label: '⏰ 电子',
+        play(ctx, out, t, rising) {
+          const freq = rising ? 1320 : 1046.5;
+          let end = t;
+          for (let i = 0; i < 4; i++) {
+            const start = t + i * 0.16 + (i >= 2 ? 0.25 : 0); // two pairs of beeps
+            end = Math.max(end, playNote(ctx, out, { type: 'square', freq, start, attack: 0.005, decay: 0.09, gain: 0.18 }));
+          }
+          return end;
+        }
+      },
+      none: {
+        label: '🔕 无',
+        play: (ctx, out, t) => t
+      }
+    };
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(SOUND_SETTINGS_KEY) || 'null');
+      if (saved) readSoundSettings(saved);
+    } catch (e) {}
+
+    function readSoundSettings(source) {
+      if (CUE_STYLES[source.style]) soundSettings.style = source.style;
+      const volume = parseFloat(source.volume);
+      if (isFinite(volume)) soundSettings.volume = Math.min(1, Math.max(0, volume));
+      const tickVolume = parseFloat(source.tickVolume);
+      if (isFinite(tickVolume)) soundSettings.tickVolume = Math.min(1, Math.max(0, tickVolume));
+      soundSettings.ticking = !!source.ticking;
+    }
+
+    function saveSoundSettings() {
+      try {
+        localStorage.setItem(SOUND_SETTINGS_KEY, JSON.stringify(soundSettings));
+      } catch (e) {
+        console.warn('Failed to save pomodoro sound settings:', e);
+      }
+    }
+
+    function renderSoundSettings() {
+      cueStyleSelect.value = soundSettings.style;
+      cueVolumeInput.value = soundSettings.volume;
+      tickingToggle.checked = soundSettings.ticking;
+      tickVolumeInput.value = soundSettings.tickVolume;
+    }
+
+    // Play the chime for the end of a phase ('work-end' or 'break-end')
+    function soundCue(kind) {
+      if (soundSettings.style === 'none' || soundSettings.volume <= 0) return;
       try {
-        if ('Notification' in window && Notification.permission === 'granted') {
-          const title = currentMode === 'work' ? '工作完成!' : '休息结束!';
-          const body = currentMode === 'work' ? '该休息一下了 ☕' : '开始下一个番茄钟 🍅';
-          new Notification(title, { body, icon: '🍅' });
-        }
+        const ctx = audioEngine.context();
+        const out = ctx.createGain();
+        out.gain.value = soundSettings.volume;
+        out.connect(audioEngine.bus('ui'));
+        const start = ctx.currentTime + 0.05;
+        const end = CUE_STYLES[soundSettings.style].play(ctx, out, start, kind === 'break-end');
+        setTimeout(() => out.disconnect(), (end - ctx.currentTime + 0.5) * 1000);
+        // Other audio (the CD) ducks while the cue sounds
+        document.dispatchEvent(new CustomEvent('pomodoro:cue', {
+          detail: { kind, duration: end - ctx.currentTime }
+        }));
       } catch (e) {
-        console.warn('Notification error:', e);
+        console.warn('Failed to play pomodoro cue:', e);
       }
+    }
 
-      // Switch modes
-      if (currentMode === 'work') {
-        workRounds++;
-        if (workRounds >= maxRounds) {
-          currentMode = 'long-break';
-          remainingSeconds = parseInt(longBreakInput.value) * 60;
-          workRounds = 0;
-        } else {
-          currentMode = 'short-break';
-          remainingSeconds = parseInt(shortBreakInput.value) * 60;
+    // Two seconds of "tick ... tock", looped by the audio clock so throttled timers can't make it stutter
+    function buildTickBuffer(ctx) {
+      const rate = ctx.sampleRate;
+      const buffer = ctx.createBuffer(1, rate * 2, rate);
+      const data = buffer.getChannelData(0);
+      [[0, 3200], [1, 2500]].forEach(([second, freq]) => {
+        const offset = second * rate;
+        const length = Math.floor(rate * 0.012);
+        for (let i = 0; i < length; i++) {
+          data[offset + i] = Math.sin((2 * Math.PI * freq * i) / rate) * Math.exp(-i / (length / 5));
         }
-      } else {
-        currentMode = 'work';
-        remainingSeconds = parseInt(workDurationInput.value) * 60;
+      });
+      return buffer;
+    }
+
+    // Tick while a work phase runs in this tab, if enabled
+    function updateTicking() {
+      const on = soundSettings.ticking && isRunning && currentMode === 'work' && !mirroring;
+      try {
+        if (on && !tickSource) {
+          const ctx = audioEngine.context();
+          if (!tickGain) {
+            tickGain = ctx.createGain();
+            tickGain.connect(audioEngine.bus('ui'));
+          }
+          tickGain.gain.value = soundSettings.tickVolume * TICK_LEVEL;
+          tickSource = ctx.createBufferSource();
+          tickSource.buffer = buildTickBuffer(ctx);
+          tickSource.loop = true;
+          tickSource.connect(tickGain);
+          tickSource.start();
+        } else if (!on && tickSource) {
+          tickSource.stop();
+          tickSource.disconnect();
+          tickSource = null;
+        }
+        if (tickGain) tickGain.gain.value = soundSettings.tickVolume * TICK_LEVEL;
+      } catch (e) {
+        console.warn('Failed to update ticking:', e);
       }
+    }
 
-      updateDisplay();
-      startBtn.disabled = false;
-      pauseBtn.disabled = true;
-      savePomodoroState(); // Save state after mode switch
+    function applySoundSettings() {
+      saveSoundSettings();
+      renderSoundSettings();
+      updateTicking();
     }
 
     function togglePanel() {
@@ -897,30 +4699,128 @@
       togglePanel();
     });
 
-    startBtn.addEventListener('click', startTimer);
-    pauseBtn.addEventListener('click', pauseTimer);
-    resetBtn.addEventListener('click', resetTimer);
+    // Buttons in a follower tab are forwarded to the leading tab, which runs the timer
+    const TIMER_ACTIONS = { start: startTimer, pause: pauseTimer, reset: resetTimer };
 
-    // Update timer duration when settings change (only when not running)
-    workDurationInput.addEventListener('change', () => {
-      if (!isRunning && currentMode === 'work') {
-        remainingSeconds = parseInt(workDurationInput.value) * 60;
-        updateDisplay();
+    function control(action) {
+      if (mirroring) {
+        tabSync.send('pomodoro-command', { action });
+      } else {
+        TIMER_ACTIONS[action]();
       }
+    }
+
+    startBtn.addEventListener('click', () => control('start'));
+    pauseBtn.addEventListener('click', () => control('pause'));
+    resetBtn.addEventListener('click', () => control('reset'));
+    if (resumePrompt) {
+      resumeBtn.addEventListener('click', () => {
+        hideResumePrompt();
+        control('start');
+      });
+      discardBtn.addEventListener('click', () => control('reset'));
+    }
+
+    tabSync.on('pomodoro-command', ({ action }) => {
+      if (!mirroring && TIMER_ACTIONS[action]) TIMER_ACTIONS[action]();
+    });
+    tabSync.on('pomodoro-state', (state) => {
+      if (mirroring) applyRemoteState(state);
+    });
+    tabSync.on('pomodoro-action', ({ action, endedAt }) => {
+      if (!mirroring) runPhaseAction(action, endedAt);
+    });
+    tabSync.on('pomodoro-state-request', () => {
+      if (!mirroring) savePomodoroState();
     });
 
-    shortBreakInput.addEventListener('change', () => {
-      if (!isRunning && currentMode === 'short-break') {
-        remainingSeconds = parseInt(shortBreakInput.value) * 60;
-        updateDisplay();
+    // Tasks and cycle settings edited in another tab
+    window.addEventListener('storage', (e) => {
+      if (e.key === TASKS_STORAGE_KEY) {
+        loadTasks();
+        renderTasks();
+      } else if (e.key === SOUND_SETTINGS_KEY && e.newValue) {
+        try {
+          readSoundSettings(JSON.parse(e.newValue));
+        } catch (err) {
+          return;
+        }
+        renderSoundSettings();
+        updateTicking();
+      } else if (e.key === CYCLE_SETTINGS_KEY && e.newValue) {
+        try {
+          readCycleSettings(JSON.parse(e.newValue));
+        } catch (err) {
+          return;
+        }
+        applyCycleSettings();
       }
     });
 
-    longBreakInput.addEventListener('change', () => {
-      if (!isRunning && currentMode === 'long-break') {
-        remainingSeconds = parseInt(longBreakInput.value) * 60;
-        updateDisplay();
-      }
+    statsBtn.addEventListener('click', toggleStats);
+    [statsFromInput, statsToInput].forEach(input => input.addEventListener('change', renderStats));
+    document.querySelectorAll('.stats-quick[data-days]').forEach(btn => {
+      btn.addEventListener('click', () => setStatsRange(parseInt(btn.dataset.days)));
+    });
+    setStatsRange(STATS_DEFAULT_DAYS);
+    exportCsvBtn.addEventListener('click', () => exportRange('csv'));
+    exportIcsBtn.addEventListener('click', () => exportRange('ics'));
+    exportBackupBtn.addEventListener('click', exportBackup);
+    importBackupBtn.addEventListener('click', chooseBackupFile);
+
+    taskForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const title = taskTitleInput.value.trim();
+      if (!title) return;
+      addTask(title, Math.min(20, Math.max(1, parseInt(taskEstimateInput.value) || 1)));
+      taskTitleInput.value = '';
+      taskEstimateInput.value = 1;
+    });
+    renderTasks();
+
+    // Timers are throttled in background tabs; catch up as soon as the page is visible again
+    document.addEventListener('visibilitychange', tick);
+
+    // Cycle settings apply right away when stopped, otherwise from the next phase
+    [workDurationInput, shortBreakInput, longBreakInput, roundsInput, autoStartBreaksInput, autoStartWorkInput, sequenceInput]
+      .forEach(input => input.addEventListener('change', () => {
+        readCycleSettings({
+          work: workDurationInput.value,
+          shortBreak: shortBreakInput.value,
+          longBreak: longBreakInput.value,
+          rounds: roundsInput.value,
+          autoStartBreaks: autoStartBreaksInput.checked,
+          autoStartWork: autoStartWorkInput.checked,
+          sequence: sequenceInput.value
+        });
+        applyCycleSettings();
+      }));
+
+    cueStyleSelect.addEventListener('change', () => {
+      readSoundSettings({ ...soundSettings, style: cueStyleSelect.value });
+      applySoundSettings();
+      soundCue('work-end');
+    });
+    cuePreviewBtn.addEventListener('click', () => soundCue('work-end'));
+    cueVolumeInput.addEventListener('input', () => {
+      readSoundSettings({ ...soundSettings, volume: cueVolumeInput.value });
+      saveSoundSettings();
+    });
+    cueVolumeInput.addEventListener('change', () => soundCue('work-end'));
+    tickingToggle.addEventListener('change', () => {
+      readSoundSettings({ ...soundSettings, ticking: tickingToggle.checked });
+      applySoundSettings();
+    });
+    tickVolumeInput.addEventListener('input', () => {
+      readSoundSettings({ ...soundSettings, tickVolume: tickVolumeInput.value });
+      applySoundSettings();
+    });
+
+    presetSelect.addEventListener('change', () => {
+      const preset = POMODORO_PRESETS[presetSelect.value];
+      if (!preset) return;
+      readCycleSettings({ ...cycleSettings, ...preset, sequence: '' });
+      applyCycleSettings();
     });
 
     // Prevent clicks inside panel from propagating
@@ -929,8 +4829,49 @@
     });
 
     // Initialize display and load saved state
+    Object.keys(POMODORO_PRESETS).forEach(id => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = POMODORO_PRESETS[id].label;
+      presetSelect.insertBefore(option, presetSelect.lastElementChild);
+    });
+    renderCycleSettings();
+    Object.keys(CUE_STYLES).forEach(id => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = CUE_STYLES[id].label;
+      cueStyleSelect.appendChild(option);
+    });
+    renderSoundSettings();
+    remainingSeconds = phaseSeconds(0);
     updateDisplay();
-    loadPomodoroState(); // Load saved state from sessionStorage
+    // Only the leading tab runs the timer; the first role decides whether to restore or mirror
+    // A notification button pressed while no page was open arrives in the URL (see sw.js)
+    const urlParams = new URLSearchParams(location.search);
+    let pendingAction = urlParams.has('pomodoroAction')
+      ? { action: urlParams.get('pomodoroAction'), endedAt: Number(urlParams.get('endedAt')) }
+      : null;
+    if (pendingAction) {
+      urlParams.delete('pomodoroAction');
+      urlParams.delete('endedAt');
+      const query = urlParams.toString();
+      history.replaceState(null, '', location.pathname + (query ? `?${query}` : '') + location.hash);
+    }
+
+    let roleKnown = false;
+    tabSync.onRole(isLeader => {
+      if (!isLeader) {
+        startMirroring();
+        // the leading tab runs the timer, so it gets the action
+        if (pendingAction) tabSync.send('pomodoro-action', pendingAction);
+      } else {
+        mirroring = false;
+        loadPomodoroState(!roleKnown && !pendingAction); // Load saved state from localStorage
+        if (pendingAction) runPhaseAction(pendingAction.action, pendingAction.endedAt);
+      }
+      pendingAction = null;
+      roleKnown = true;
+    });
   })();
 
   // --- CD Player Logic ---
@@ -957,6 +4898,11 @@
     const currentTimeEl = document.getElementById('currentTime');
     const totalTimeEl = document.getElementById('totalTime');
     const cdVolumeSlider = document.getElementById('cdVolumeSlider');
+    const pomodoroLinkBtn = document.getElementById('pomodoroLinkBtn');
+    const pomodoroLinkBar = document.getElementById('pomodoroLinkBar');
+    const pomodoroLinkEnable = document.getElementById('pomodoroLinkEnable');
+    const pomodoroWorkList = document.getElementById('pomodoroWorkList');
+    const pomodoroBreakList = document.getElementById('pomodoroBreakList');
 
     if (!cdPlayerBtn || !cdPlayerPanel) return;
 
@@ -985,6 +4931,10 @@
     let favorites = new Set(); // Set of favorite music IDs
     let playlists = []; // Array of { id, name, tracks: Set(musicIds) }
     let currentCategory = 'all'; // Current selected category or playlist ID
+    let fadeTimer = null; // Pomodoro link fade-out in progress
+    let fadeVolume = null; // volume to return to once the fade ends
+    let remoteControl = false; // another tab plays the audio; this one forwards its buttons there
+    let mirroredTrack = null; // musicId:vocalId last shown from the leader
 
     // LocalStorage keys for CD Player
     const STORAGE_KEYS = {
@@ -996,13 +4946,15 @@
       VOCAL_PREFERENCE: 'cdPlayer_vocalPreference',
       PREFERRED_CHARACTERS: 'cdPlayer_preferredCharacters',
       FAVORITES: 'cdPlayer_favorites',
-      PLAYLISTS: 'cdPlayer_playlists'
+      PLAYLISTS: 'cdPlayer_playlists',
+      POMODORO_LINK: 'cdPlayer_pomodoroLink',
+      PLAYBACK: 'cdPlayer_playback' // position of the leading tab, for the tab that takes over
     };
 
     // Save settings to localStorage
     function saveSettings() {
       try {
-        localStorage.setItem(STORAGE_KEYS.VOLUME, cdAudioPlayer.volume);
+        localStorage.setItem(STORAGE_KEYS.VOLUME, fadeTimer ? fadeVolume : cdAudioPlayer.volume);
         // Save musicId and vocalId instead of index
         if (currentMusicId !== null) {
           localStorage.setItem(STORAGE_KEYS.LAST_TRACK_ID, currentMusicId);
@@ -1083,6 +5035,12 @@
 
     // Restore last track by musicId (called after data is loaded)
     function restoreLastTrack() {
+      if (remoteControl) {
+        // A follower shows the leader's track instead; ask again now that the list can be highlighted
+        mirroredTrack = null;
+        tabSync.send('cd-state-request');
+        return;
+      }
       try {
         const savedMusicId = localStorage.getItem(STORAGE_KEYS.LAST_TRACK_ID);
         const savedVocalId = localStorage.getItem(STORAGE_KEYS.LAST_VOCAL_ID);
@@ -1891,6 +5849,10 @@
         // Click on item content to play
         const content = item.querySelector('.music-item-content');
         content.addEventListener('click', () => {
+          if (remoteControl) {
+            sendCommand('select', { musicId: music.id, category: currentCategory });
+            return;
+          }
           const trackIndex = filteredMusicData.indexOf(music);
           pendingAutoPlay = true; // Set flag to auto-play after loading
           loadTrack(trackIndex);
@@ -1998,6 +5960,59 @@
       return names.length > 0 ? names.join('・') : '';
     }
 
+    // Vocal buttons (or a plain label when there is only one version) under the track title
+    function renderVocalSelector(availableVocals, selectedVocal, onSelect) {
+      trackVocal.innerHTML = '';
+
+      if (availableVocals.length > 1) {
+        const container = document.createElement('div');
+        container.style.cssText = 'display: flex; gap: 6px; flex-wrap: wrap; justify-content: center;';
+
+        availableVocals.forEach(vocal => {
+          const btn = document.createElement('button');
+          const characterNames = getVocalCharacterNames(vocal);
+          const vocalLabel = vocal.caption || vocal.musicVocalType;
+
+          btn.textContent = characterNames ? `${vocalLabel} (${characterNames})` : vocalLabel;
+          btn.style.cssText = `
+            background: ${vocal.id === selectedVocal.id ? 'linear-gradient(135deg, rgba(99, 102, 241, 0.4), rgba(168, 85, 247, 0.4))' : 'rgba(255,255,255,0.1)'};
+            border: 1px solid ${vocal.id === selectedVocal.id ? 'rgba(99, 102, 241, 0.6)' : 'rgba(255,255,255,0.2)'};
+            color: #fff;
+            padding: 6px 12px;
+            border-radius: 6px;
+            font-size: 12px;
+            cursor: pointer;
+            transition: all 0.2s;
+            white-space: nowrap;
+          `;
+
+          btn.addEventListener('mouseenter', () => {
+            if (vocal.id !== selectedVocal.id) {
+              btn.style.background = 'rgba(255,255,255,0.15)';
+              btn.style.transform = 'translateY(-1px)';
+            }
+          });
+
+          btn.addEventListener('mouseleave', () => {
+            if (vocal.id !== selectedVocal.id) {
+              btn.style.background = 'rgba(255,255,255,0.1)';
+              btn.style.transform = 'translateY(0)';
+            }
+          });
+
+          btn.addEventListener('click', () => onSelect(vocal));
+
+          container.appendChild(btn);
+        });
+
+        trackVocal.appendChild(container);
+      } else {
+        const characterNames = getVocalCharacterNames(selectedVocal);
+        const vocalLabel = selectedVocal.caption || 'セカイver.';
+        trackVocal.textContent = characterNames ? `${vocalLabel} (${characterNames})` : vocalLabel;
+      }
+    }
+
     // Load a track
     function loadTrack(index, vocalId = null) {
       if (index < 0 || index >= filteredMusicData.length) return;
@@ -2035,6 +6050,10 @@
         cdAudioPlayer.onerror = null;
         cdAudioPlayer.src = music.audioUrl;
         cdAudioPlayer.load();
+        // local files live in IndexedDB already, so there is nothing to pin
+        document.dispatchEvent(new CustomEvent('cdplayer:trackchange', {
+          detail: { id: music.id, title: music.title, audioUrl: null, coverUrl: null }
+        }));
 
         // Update active class manually
         const items = musicList.querySelectorAll('.music-item:not(.import-item)');
@@ -2101,68 +6120,20 @@
       trackArtist.textContent = `作曲: ${music.composer || 'Unknown'} · 作词: ${music.lyricist || 'Unknown'}`;
 
       // Create custom vocal selector
-      trackVocal.innerHTML = '';
-
-      if (availableVocals.length > 1) {
-        const container = document.createElement('div');
-        container.style.cssText = 'display: flex; gap: 6px; flex-wrap: wrap; justify-content: center;';
-
-        availableVocals.forEach(vocal => {
-          const btn = document.createElement('button');
-          const characterNames = getVocalCharacterNames(vocal);
-          const vocalLabel = vocal.caption || vocal.musicVocalType;
-
-          btn.textContent = characterNames ? `${vocalLabel} (${characterNames})` : vocalLabel;
-          btn.style.cssText = `
-            background: ${vocal.id === selectedVocal.id ? 'linear-gradient(135deg, rgba(99, 102, 241, 0.4), rgba(168, 85, 247, 0.4))' : 'rgba(255,255,255,0.1)'};
-            border: 1px solid ${vocal.id === selectedVocal.id ? 'rgba(99, 102, 241, 0.6)' : 'rgba(255,255,255,0.2)'};
-            color: #fff;
-            padding: 6px 12px;
-            border-radius: 6px;
-            font-size: 12px;
-            cursor: pointer;
-            transition: all 0.2s;
-            white-space: nowrap;
-          `;
-
-          btn.addEventListener('mouseenter', () => {
-            if (vocal.id !== selectedVocal.id) {
-              btn.style.background = 'rgba(255,255,255,0.15)';
-              btn.style.transform = 'translateY(-1px)';
-            }
-          });
-
-          btn.addEventListener('mouseleave', () => {
-            if (vocal.id !== selectedVocal.id) {
-              btn.style.background = 'rgba(255,255,255,0.1)';
-              btn.style.transform = 'translateY(0)';
-            }
-          });
-
-          btn.addEventListener('click', () => {
-            // Update preferred characters when manually selecting a vocal
-            if (vocal.characters && vocal.characters.length > 0) {
-              preferredCharacterIds = vocal.characters
-                .filter(c => c.characterType === 'game_character')
-                .map(c => c.characterId);
-              saveSettings();
-            }
-            
-            const wasPlaying = isPlaying;
-            if (wasPlaying) pauseTrack(); // Pause current first
-            pendingAutoPlay = wasPlaying; // Set flag if was playing
-            loadTrack(currentTrackIndex, vocal.id);
-          });
-
-          container.appendChild(btn);
-        });
+      renderVocalSelector(availableVocals, selectedVocal, (vocal) => {
+        // Update preferred characters when manually selecting a vocal
+        if (vocal.characters && vocal.characters.length > 0) {
+          preferredCharacterIds = vocal.characters
+            .filter(c => c.characterType === 'game_character')
+            .map(c => c.characterId);
+          saveSettings();
+        }
 
-        trackVocal.appendChild(container);
-      } else {
-        const characterNames = getVocalCharacterNames(selectedVocal);
-        const vocalLabel = selectedVocal.caption || 'セカイver.';
-        trackVocal.textContent = characterNames ? `${vocalLabel} (${characterNames})` : vocalLabel;
-      }
+        const wasPlaying = isPlaying;
+        if (wasPlaying) pauseTrack(); // Pause current first
+        pendingAutoPlay = wasPlaying; // Set flag if was playing
+        loadTrack(currentTrackIndex, vocal.id);
+      });
 
       // Update album cover with fallback
       const primaryCoverUrl = `https://fcdata.forclass.net/AttachFiles/171806/music/jacket/${music.assetbundleName}/${music.assetbundleName}.png`;
@@ -2200,6 +6171,11 @@
       cdAudioPlayer.src = primaryAudioUrl;
       cdAudioPlayer.load(); // Explicitly load the new source
 
+      // Let the offline storage panel pin this track
+      document.dispatchEvent(new CustomEvent('cdplayer:trackchange', {
+        detail: { id: music.id, title: displayTitle, audioUrl: primaryAudioUrl, coverUrl: primaryCoverUrl }
+      }));
+
       // If primary audio fails, use fallback (and preserve pendingAutoPlay flag)
       cdAudioPlayer.onerror = () => {
         if (cdAudioPlayer.src === primaryAudioUrl) {
@@ -2212,6 +6188,8 @@
           console.error('Both audio sources failed');
           if (trackLoadingSpinner) trackLoadingSpinner.classList.add('hidden');
           pendingAutoPlay = false;
+          // nothing will play, so let the video come back up
+          document.dispatchEvent(new CustomEvent('cdplayer:pause'));
         }
       };
 
@@ -2250,6 +6228,8 @@
     let audioContext = null;
     let analyser = null;
     let source = null;
+    let duckGain = null;
+    let cueDuckTimer = null;
     let visualizerCanvas = document.getElementById('visualizerCanvas');
     let canvasCtx = visualizerCanvas ? visualizerCanvas.getContext('2d') : null;
     let animationId = null;
@@ -2510,13 +6490,14 @@
       };
     }
 
-    function initAudioVisualizer() {
-      if (!visualizerCanvas || audioContext) return;
+    // Route the CD audio through the analyser and ducking into the music bus. Built even without a
+    // visualizer canvas, so the mixer's music strip and master level still apply.
+    function initAudioGraph() {
+      if (audioContext) return;
 
       try {
-        // Create AudioContext
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
-        audioContext = new AudioContext();
+        // Shared with the video (see audioEngine)
+        audioContext = audioEngine.context();
 
         // Create Analyser
         analyser = audioContext.createAnalyser();
@@ -2525,9 +6506,12 @@
         // Connect Audio Element to Analyser
         // Note: This requires CORS to be handled correctly for cross-origin audio
         cdAudioPlayer.crossOrigin = "anonymous";
-        source = audioContext.createMediaElementSource(cdAudioPlayer);
+        source = audioEngine.mediaSource(cdAudioPlayer);
         source.connect(analyser);
-        analyser.connect(audioContext.destination);
+        // after the analyser, so ducking doesn't shrink the visualizer
+        duckGain = audioContext.createGain();
+        analyser.connect(duckGain);
+        duckGain.connect(audioEngine.bus('music'));
 
         drawVisualizer();
       } catch (e) {
@@ -2535,6 +6519,17 @@
       }
     }
 
+    // Duck the music while a Pomodoro cue sounds, using the video ducking settings
+    document.addEventListener('pomodoro:cue', (e) => {
+      if (!duckGain || !isPlaying || !duckSettings.enabled) return;
+      const duration = (e.detail && e.detail.duration) || 2.5;
+      duckGain.gain.setTargetAtTime(duckSettings.level, audioContext.currentTime, DUCK_TIME_CONSTANT_S);
+      clearTimeout(cueDuckTimer);
+      cueDuckTimer = setTimeout(() => {
+        duckGain.gain.setTargetAtTime(1, audioContext.currentTime, DUCK_TIME_CONSTANT_S);
+      }, duration * 1000);
+    });
+
     function drawVisualizer() {
       if (!analyser || !visualizerCanvas || !visualizationEnabled) return;
 
@@ -2673,12 +6668,9 @@
     // Play track
     function playTrack() {
 
-      // Initialize visualizer on first user interaction (play)
-      if (!audioContext) {
-        initAudioVisualizer();
-      } else if (audioContext.state === 'suspended') {
-        audioContext.resume();
-      }
+      // Connect the audio graph on first play
+      initAudioGraph();
+      audioEngine.resume();
 
       if (currentTrackIndex < 0) {
         // Play first track if none selected
@@ -2699,6 +6691,7 @@
         .then(() => {
           isPlaying = true;
           playPauseBtn.textContent = '⏸️';
+          document.dispatchEvent(new CustomEvent('cdplayer:play'));
 
           // Start CD animation smoothly
           if (albumCoverContainer) {
@@ -2715,6 +6708,7 @@
       cdAudioPlayer.pause();
       isPlaying = false;
       playPauseBtn.textContent = '▶️';
+      document.dispatchEvent(new CustomEvent('cdplayer:pause'));
 
       // Stop CD animation smoothly
       if (albumCoverContainer) {
@@ -2756,6 +6750,8 @@
     // Toggle play/pause
     if (playPauseBtn) {
       playPauseBtn.addEventListener('click', () => {
+        if (remoteControl) return sendCommand('toggle');
+        cancelFade();
         if (isPlaying) {
           pauseTrack();
         } else {
@@ -2767,6 +6763,7 @@
     // Previous track
     if (prevBtn) {
       prevBtn.addEventListener('click', () => {
+        if (remoteControl) return sendCommand('prev');
         const wasPlaying = isPlaying;
         pauseTrack(); // Pause current first
         pendingAutoPlay = wasPlaying; // Set flag for auto-play
@@ -2779,6 +6776,7 @@
     // Next track
     if (nextBtn) {
       nextBtn.addEventListener('click', () => {
+        if (remoteControl) return sendCommand('next');
         const wasPlaying = isPlaying;
         pauseTrack(); // Pause current first
         pendingAutoPlay = wasPlaying; // Set flag for auto-play
@@ -2882,6 +6880,7 @@
     // Progress bar seek
     if (progressBar) {
       progressBar.addEventListener('input', (e) => {
+        if (remoteControl) return sendCommand('seek', { fraction: e.target.value / 100 });
         const seekTime = (e.target.value / 100) * cdAudioPlayer.duration;
         cdAudioPlayer.currentTime = seekTime;
       });
@@ -2890,6 +6889,7 @@
     // Volume control
     if (cdVolumeSlider) {
       cdVolumeSlider.addEventListener('input', (e) => {
+        cancelFade();
         cdAudioPlayer.volume = parseFloat(e.target.value);
         saveSettings(); // Save volume preference
       });
@@ -2903,6 +6903,305 @@
       }
     }
 
+    // --- Pomodoro link ---
+    // Optionally follow the Pomodoro: when a phase begins, play the list chosen for it (a category, a
+    // playlist or silence). The player only acts at phase boundaries, so anything changed by hand in the
+    // middle of a phase is left alone until the next one.
+    const PHASE_FADE_MS = 1500;
+    const pomodoroLink = { enabled: false, work: 'none', break: 'silence' };
+    let linkedCategory = null; // list started by the link, to keep it playing across phases
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.POMODORO_LINK) || 'null');
+      if (saved) Object.assign(pomodoroLink, { enabled: !!saved.enabled, work: saved.work || 'none', break: saved.break || 'silence' });
+    } catch (e) {}
+
+    function savePomodoroLink() {
+      try {
+        localStorage.setItem(STORAGE_KEYS.POMODORO_LINK, JSON.stringify(pomodoroLink));
+      } catch (e) {
+        console.warn('Failed to save Pomodoro link settings:', e);
+      }
+    }
+
+    function cancelFade() {
+      if (!fadeTimer) return;
+      clearInterval(fadeTimer);
+      fadeTimer = null;
+      cdAudioPlayer.volume = fadeVolume;
+    }
+
+    // Fade out over PHASE_FADE_MS, then pause and put the volume back
+    function fadeOutAndPause(then) {
+      cancelFade();
+      if (!isPlaying) {
+        if (then) then();
+        return;
+      }
+      fadeVolume = cdAudioPlayer.volume;
+      const startedAt = performance.now();
+      fadeTimer = setInterval(() => {
+        const t = Math.min(1, (performance.now() - startedAt) / PHASE_FADE_MS);
+        cdAudioPlayer.volume = fadeVolume * (1 - t);
+        if (t < 1) return;
+        cancelFade();
+        pauseTrack();
+        if (then) then();
+      }, 50);
+    }
+
+    // Switch the list to a category or playlist, as if picked by hand
+    function showCategory(category) {
+      currentCategory = category;
+      const button = category.startsWith('playlist_') ? 'playlists' : category;
+      categoryBtns.forEach(b => b.classList.toggle('active', b.dataset.category === button));
+      if (musicSearchInput) musicSearchInput.value = '';
+      filterMusicList('');
+    }
+
+    async function playLinkedCategory(category) {
+      if (!musicData.length && category !== 'local') await loadMusicData();
+      showCategory(category);
+      if (!filteredMusicData.length) return;
+      linkedCategory = category;
+      pendingAutoPlay = true;
+      loadTrack(getNextTrackIndex(-1, 1, isShuffleOn));
+    }
+
+    function onPomodoroPhase(e) {
+      if (!pomodoroLink.enabled) return;
+      const target = e.detail.mode === 'work' ? pomodoroLink.work : pomodoroLink.break;
+      if (target === 'none') return;
+      const keepsPlaying = target === linkedCategory && currentCategory === linkedCategory && isPlaying;
+
+      if (target === 'silence') {
+        linkedCategory = null;
+        fadeOutAndPause();
+      } else if (keepsPlaying) {
+        // same list as the previous phase: let it play on
+      } else if (e.detail.running) {
+        fadeOutAndPause(() => playLinkedCategory(target));
+      } else if (isPlaying && linkedCategory) {
+        // the next phase waits for a manual start; stop the previous phase's list until then
+        fadeOutAndPause();
+      }
+    }
+
+    function renderPomodoroLink() {
+      const options = [['none', '不改变'], ['silence', '静音（暂停）']];
+      categoryBtns.forEach(btn => {
+        if (btn.dataset.category !== 'playlists') options.push([btn.dataset.category, btn.title]);
+      });
+      playlists.forEach(p => options.push([p.id, `📂 ${p.name}`]));
+
+      [[pomodoroWorkList, 'work'], [pomodoroBreakList, 'break']].forEach(([select, key]) => {
+        select.innerHTML = '';
+        options.forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          select.appendChild(option);
+        });
+        // a deleted playlist falls back to "no change"
+        if (!options.some(([value]) => value === pomodoroLink[key])) pomodoroLink[key] = 'none';
+        select.value = pomodoroLink[key];
+      });
+      pomodoroLinkEnable.checked = pomodoroLink.enabled;
+      pomodoroLinkBtn.classList.toggle('active', pomodoroLink.enabled);
+    }
+
+    if (pomodoroLinkBtn && pomodoroLinkBar) {
+      pomodoroLinkBtn.addEventListener('click', () => {
+        const show = pomodoroLinkBar.classList.toggle('hidden') === false;
+        if (show) renderPomodoroLink();
+      });
+      pomodoroLinkEnable.addEventListener('change', () => {
+        pomodoroLink.enabled = pomodoroLinkEnable.checked;
+        pomodoroLinkBtn.classList.toggle('active', pomodoroLink.enabled);
+        savePomodoroLink();
+      });
+      pomodoroWorkList.addEventListener('change', () => {
+        pomodoroLink.work = pomodoroWorkList.value;
+        savePomodoroLink();
+      });
+      pomodoroBreakList.addEventListener('change', () => {
+        pomodoroLink.break = pomodoroBreakList.value;
+        savePomodoroLink();
+      });
+      pomodoroLinkBtn.classList.toggle('active', pomodoroLink.enabled);
+      document.addEventListener('pomodoro:phase', onPomodoroPhase);
+    }
+
+    // --- Tabs ---
+    // Only the leading tab (see tabSync) plays audio. It broadcasts what it is playing; follower tabs show
+    // that instead of their own player and send their button presses back as commands. The position is
+    // also kept in localStorage so the tab that takes over can continue the same track.
+    let lastBroadcast = 0;
+
+    function sendCommand(type, data = {}) {
+      tabSync.send('cd-command', { type, ...data });
+    }
+
+    function broadcastState() {
+      if (remoteControl) return;
+      lastBroadcast = performance.now();
+      const state = {
+        musicId: currentMusicId,
+        vocalId: currentVocalId,
+        category: currentCategory,
+        title: trackTitle.textContent,
+        artist: trackArtist.textContent,
+        vocal: trackVocal.querySelector('button') ? '' : trackVocal.textContent, // followers build the buttons
+        cover: albumCover.src,
+        playing: !cdAudioPlayer.paused,
+        currentTime: cdAudioPlayer.currentTime || 0,
+        duration: cdAudioPlayer.duration || 0
+      };
+      tabSync.send('cd-state', state);
+      if (currentMusicId === null) return;
+      try {
+        localStorage.setItem(STORAGE_KEYS.PLAYBACK, JSON.stringify({
+          musicId: state.musicId,
+          vocalId: state.vocalId,
+          category: state.category,
+          time: state.currentTime,
+          playing: state.playing
+        }));
+      } catch (e) {}
+    }
+
+    // Only the visible track info: no audio source, no events and nothing written to storage, which
+    // would otherwise reach the leader through its storage listener
+    function renderRemoteTrack(state) {
+      currentMusicId = state.musicId;
+      currentVocalId = state.vocalId;
+      trackTitle.textContent = state.title;
+      trackArtist.textContent = state.artist;
+
+      const vocals = musicVocalsData.filter(v => v.musicId === state.musicId);
+      const selected = vocals.find(v => v.id === state.vocalId);
+      if (vocals.length > 1 && selected) {
+        renderVocalSelector(vocals, selected, (vocal) => {
+          sendCommand('select', { musicId: state.musicId, vocalId: vocal.id, category: state.category });
+        });
+      } else {
+        trackVocal.textContent = state.vocal;
+      }
+
+      albumCover.onerror = null;
+      albumCover.onload = () => {
+        albumCover.style.opacity = '1';
+        dominantColors = extractColorsFromCover();
+      };
+      albumCover.crossOrigin = 'anonymous';
+      albumCover.src = state.cover;
+      albumCover.style.display = 'block';
+
+      musicList.querySelectorAll('.music-item:not(.import-item)').forEach((item, index) => {
+        const music = filteredMusicData[index];
+        item.classList.toggle('active', !!music && music.id === state.musicId);
+      });
+    }
+
+    function showRemoteState(state) {
+      const trackKey = `${state.musicId}:${state.vocalId}`;
+      if (state.musicId !== null && trackKey !== mirroredTrack) {
+        mirroredTrack = trackKey;
+        renderRemoteTrack(state);
+      }
+      if (trackLoadingSpinner) trackLoadingSpinner.classList.add('hidden');
+      playPauseBtn.textContent = state.playing ? '⏸️' : '▶️';
+      if (albumCoverContainer) albumCoverContainer.classList.toggle('playing', state.playing);
+      progressBar.value = state.duration ? (state.currentTime / state.duration) * 100 : 0;
+      currentTimeEl.textContent = formatTime(state.currentTime);
+      if (state.duration) totalTimeEl.textContent = formatTime(state.duration);
+    }
+
+    async function runCommand(command) {
+      if (command.type === 'toggle') {
+        playPauseBtn.click();
+      } else if (command.type === 'prev') {
+        prevBtn.click();
+      } else if (command.type === 'next') {
+        nextBtn.click();
+      } else if (command.type === 'seek') {
+        if (cdAudioPlayer.duration) cdAudioPlayer.currentTime = command.fraction * cdAudioPlayer.duration;
+      } else if (command.type === 'select') {
+        if (!musicData.length && command.category !== 'local') await loadMusicData();
+        if (command.category !== currentCategory) showCategory(command.category);
+        const index = filteredMusicData.findIndex(m => m.id === command.musicId);
+        if (index < 0) return;
+        cancelFade();
+        if (isPlaying) pauseTrack();
+        pendingAutoPlay = true;
+        loadTrack(index, command.vocalId || null);
+      }
+    }
+
+    // Continue the closed leader's track from where it was
+    async function takeOver() {
+      let playback = null;
+      try {
+        playback = JSON.parse(localStorage.getItem(STORAGE_KEYS.PLAYBACK) || 'null');
+      } catch (e) {}
+      if (!playback || playback.musicId === null) return;
+
+      if (!musicData.length && playback.category !== 'local') await loadMusicData();
+      if (playback.category && playback.category !== currentCategory) showCategory(playback.category);
+      const index = filteredMusicData.findIndex(m => m.id === playback.musicId);
+      if (index < 0) return;
+      loadTrack(index, playback.vocalId);
+      cdAudioPlayer.addEventListener('loadedmetadata', function seekToSaved() {
+        cdAudioPlayer.removeEventListener('loadedmetadata', seekToSaved);
+        if (playback.time > 0) cdAudioPlayer.currentTime = playback.time;
+      });
+      // Browsers may refuse to start without a click in this tab; the play button then works as usual
+      pendingAutoPlay = !!playback.playing;
+    }
+
+    if (cdAudioPlayer) {
+      ['play', 'pause', 'loadedmetadata', 'seeked'].forEach(type => cdAudioPlayer.addEventListener(type, broadcastState));
+      cdAudioPlayer.addEventListener('timeupdate', () => {
+        if (performance.now() - lastBroadcast >= 1000) broadcastState();
+      });
+      document.addEventListener('cdplayer:trackchange', () => setTimeout(broadcastState));
+      window.addEventListener('pagehide', broadcastState);
+    }
+
+    tabSync.on('cd-state', (state) => {
+      if (remoteControl) showRemoteState(state);
+    });
+    tabSync.on('cd-state-request', broadcastState);
+    tabSync.on('cd-command', (command) => {
+      if (!remoteControl) runCommand(command);
+    });
+
+    tabSync.onRole(isLeader => {
+      if (!isLeader) {
+        remoteControl = true;
+        cdAudioPlayer.preload = 'none';
+        tabSync.send('cd-state-request');
+      } else if (remoteControl) {
+        remoteControl = false;
+        cdAudioPlayer.preload = 'metadata';
+        takeOver();
+      }
+    });
+
+    // Settings changed in another tab (the playback position is only read when taking over)
+    window.addEventListener('storage', (e) => {
+      if (!e.key || !e.key.startsWith('cdPlayer_') || e.key === STORAGE_KEYS.PLAYBACK) return;
+      if (e.key === STORAGE_KEYS.POMODORO_LINK) {
+        try {
+          Object.assign(pomodoroLink, JSON.parse(e.newValue || 'null') || {});
+        } catch (err) {}
+        if (pomodoroLinkBtn) pomodoroLinkBtn.classList.toggle('active', pomodoroLink.enabled);
+        if (pomodoroLinkBar && !pomodoroLinkBar.classList.contains('hidden')) renderPomodoroLink();
+      } else {
+        loadSettings();
+      }
+    });
+
     // Toggle panel
     function togglePanel() {
       cdPlayerPanel.classList.toggle('hidden');
@@ -0,0 +1,157 @@
+// sw.js - offline support for the time-synced player
+// - app shell (same-origin files): network first, cached copy when offline
+// - music data JSON and album covers: stale-while-revalidate (CORS responses only; opaque ones take
+//   megabytes of padded quota each)
+// - pinned media (video parts, tracks): served from the media cache; Range requests are answered with
+//   206 slices of the cached file so <video>/<audio> seeking works offline.
+// - Pomodoro notification buttons: relayed to the open pages.
+// Pinning and eviction happen in the page (see "Offline storage" in script.js); the cache names must match.
+const SHELL_CACHE = 'nightcord-shell-v1';
+const DATA_CACHE = 'nightcord-data-v1';
+const MEDIA_CACHE = 'nightcord-media-v1';
+const SHELL_FILES = ['./', './index.html', './style.css', './script.js'];
+
+const MEDIA_PATTERN = /\.(mp4|webm|m4a|flac|mp3|ogg|wav)$/i;
+const COVER_PATTERN = /\/jacket\/.*\.(png|webp|jpe?g)$/i;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .catch(err => console.warn('[sw] Failed to precache app shell', err))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, MEDIA_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (MEDIA_PATTERN.test(url.pathname)) {
+    event.respondWith(mediaResponse(request));
+  } else if ((url.pathname.endsWith('.json') && request.cache === 'default') || COVER_PATTERN.test(url.pathname)) {
+    // requests that ask for no-store / no-cache (clock, schedule, scenes) always go to the network
+    event.respondWith(staleWhileRevalidate(event, request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// Pomodoro notifications (see "Phase-end notifications" in script.js): a button press is posted to every
+// open page, where the tab running the timer applies it. With no page open, the button press is handed
+// to a new page in the URL. Clicking the notification itself just brings the page back.
+self.addEventListener('notificationclick', (event) => {
+  const notification = event.notification;
+  notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      if (event.action && windows.length) {
+        const endedAt = notification.data ? notification.data.endedAt : null;
+        windows.forEach(client => client.postMessage({ type: 'pomodoro-action', action: event.action, endedAt }));
+        return;
+      }
+      if (windows.length) return windows[0].focus();
+      if (event.action) {
+        const endedAt = notification.data ? notification.data.endedAt : '';
+        return self.clients.openWindow(`./?pomodoroAction=${encodeURIComponent(event.action)}&endedAt=${endedAt}`);
+      }
+      return self.clients.openWindow('./');
+    })
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then(response => {
+    if (response.ok) return cache.put(request, response.clone()).then(() => response);
+    return response;
+  });
+  if (cached) {
+    // keep the worker alive until the background refresh is stored
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// Blobs of recently seeked media, so each Range request doesn't read the cached file again.
+// Only consulted after the media cache still has the URL, so unpinned files aren't served from here.
+const MEDIA_BLOB_LIMIT = 3;
+const mediaBlobs = new Map(); // url -> Blob, oldest first
+
+async function mediaResponse(request) {
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(request.url);
+  if (!cached) return fetch(request);
+  const range = request.headers.get('Range');
+  if (!range) return cached;
+  return sliceResponse(cached, await mediaBlob(request.url, cached), range);
+}
+
+async function mediaBlob(url, response) {
+  let blob = mediaBlobs.get(url);
+  if (!blob) {
+    blob = await response.blob();
+    if (mediaBlobs.size >= MEDIA_BLOB_LIMIT) mediaBlobs.delete(mediaBlobs.keys().next().value);
+  }
+  // move to the newest end
+  mediaBlobs.delete(url);
+  mediaBlobs.set(url, blob);
+  return blob;
+}
+
+// Answer a single "bytes=start-end" range from a full cached response and its body
+function sliceResponse(response, blob, rangeHeader) {
+  const size = blob.size;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  let start = NaN;
+  let end = size - 1;
+  if (match && match[1] !== '') {
+    start = parseInt(match[1], 10);
+    if (match[2] !== '') end = Math.min(parseInt(match[2], 10), size - 1);
+  } else if (match && match[2] !== '') {
+    // suffix range: the last N bytes
+    start = Math.max(0, size - parseInt(match[2], 10));
+  }
+  if (!(start >= 0) || start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || blob.type || 'application/octet-stream',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}